@@ -14,10 +14,16 @@
 
 import { exec } from "child_process";
 import { promisify } from "util";
+import { runCommand } from "./process.js";
+import { startJob, getJob, listJobs, killJob, describeJob, readJobOutput } from "./jobs.js";
+import { enforceCommandPolicy, setConfirmationHandler } from "./policy.js";
+
+// The CLI registers its prompt here to approve commands flagged by "confirm" rules
+export { setConfirmationHandler };
 
 const execAsync = promisify(exec);
 
-// ============ Tool: Execute Command ============
+// ============ Tool 1: Execute Command ============
 const executeCommandDefinition = {
   type: "function",
   function: {
@@ -33,6 +39,19 @@ const executeCommandDefinition = {
         working_directory: {
           type: "string",
           description: "Optional: The directory to execute the command in. Defaults to current working directory."
+        },
+        mode: {
+          type: "string",
+          enum: ["exec", "spawn"],
+          description: "Optional: 'exec' (default) buffers all output; 'spawn' streams output with head/tail truncation and is suited to long-running scans like nmap or ffuf"
+        },
+        timeout_seconds: {
+          type: "number",
+          description: "Optional: Kill the command after this many seconds (default: none for exec, 300 for spawn; 0 disables)"
+        },
+        max_output_bytes: {
+          type: "number",
+          description: "Optional (spawn mode): Bytes of stdout and of stderr to keep, split between the start and the end of the output (default: 1048576)"
         }
       },
       required: ["command"]
@@ -41,10 +60,23 @@ const executeCommandDefinition = {
 };
 
 async function executeCommandHandler(args) {
+  const refusal = await enforceCommandPolicy(args.command, {
+    tool: "execute_command",
+    workingDirectory: args.working_directory || process.cwd()
+  });
+  if (refusal) {
+    return JSON.stringify(refusal);
+  }
+
+  if (args.mode === "spawn") {
+    return spawnCommandHandler(args);
+  }
+
   try {
-    const { command, working_directory = process.cwd() } = args;
+    const { command, working_directory = process.cwd(), timeout_seconds = 0 } = args;
     const { stdout, stderr } = await execAsync(command, { 
       cwd: working_directory,
+      timeout: timeout_seconds * 1000,
       maxBuffer: 1024 * 1024 * 10 // 10MB buffer
     });
     return JSON.stringify({
@@ -59,14 +91,285 @@ async function executeCommandHandler(args) {
       error: error.message,
       stdout: error.stdout?.trim() || "",
       stderr: error.stderr?.trim() || "",
-      exit_code: error.code
+      // exec reports failures like maxBuffer overflows as string codes, not exit statuses
+      exit_code: typeof error.code === "number" ? error.code : null,
+      signal: error.signal || null,
+      error_code: typeof error.code === "string" ? error.code : undefined,
+      timed_out: error.killed === true && error.signal === "SIGTERM"
+    });
+  }
+}
+
+async function spawnCommandHandler(args) {
+  const { command, working_directory = process.cwd(), timeout_seconds = 300, max_output_bytes = 1024 * 1024 } = args;
+  const result = await runCommand(command, {
+    cwd: working_directory,
+    timeoutMs: timeout_seconds * 1000,
+    maxOutputBytes: max_output_bytes
+  });
+
+  if (result.spawnError) {
+    return JSON.stringify({
+      success: false,
+      error: result.spawnError.message,
+      error_code: result.spawnError.code,
+      working_directory: working_directory
+    });
+  }
+
+  const success = result.exitCode === 0 && !result.timedOut;
+  return JSON.stringify({
+    success: success,
+    error: success ? undefined : (result.timedOut
+      ? `Command timed out after ${timeout_seconds}s and was killed`
+      : result.signal ? `Command terminated by ${result.signal}` : `Command exited with code ${result.exitCode}`),
+    stdout: result.stdout.toString().trim(),
+    stderr: result.stderr.toString().trim(),
+    stdout_bytes: result.stdout.totalBytes,
+    stderr_bytes: result.stderr.totalBytes,
+    stdout_truncated: result.stdout.truncated,
+    stderr_truncated: result.stderr.truncated,
+    exit_code: result.exitCode,
+    signal: result.signal,
+    timed_out: result.timedOut,
+    duration_ms: result.durationMs,
+    working_directory: working_directory
+  });
+}
+
+// ============ Tool 2: Start Job ============
+const startJobDefinition = {
+  type: "function",
+  function: {
+    name: "start_job",
+    description: "Start a long-running bash command (e.g. a full nmap or ffuf scan) in the background and return immediately with a job ID. Output is written to log files; use job_status and job_output to follow it.",
+    parameters: {
+      type: "object",
+      properties: {
+        command: {
+          type: "string",
+          description: "The bash command to run in the background"
+        },
+        working_directory: {
+          type: "string",
+          description: "Optional: The directory to run the command in. Defaults to current working directory."
+        },
+        name: {
+          type: "string",
+          description: "Optional: A short label for the job (e.g. 'full-tcp-scan')"
+        },
+        timeout_seconds: {
+          type: "number",
+          description: "Optional: Kill the job after this many seconds (default: no timeout)"
+        }
+      },
+      required: ["command"]
+    }
+  }
+};
+
+async function startJobHandler(args) {
+  try {
+    const { command, working_directory = process.cwd(), name = null, timeout_seconds = 0 } = args;
+    const refusal = await enforceCommandPolicy(command, {
+      tool: "start_job",
+      workingDirectory: working_directory
+    });
+    if (refusal) {
+      return JSON.stringify(refusal);
+    }
+
+    const job = await startJob(command, {
+      cwd: working_directory,
+      name: name,
+      timeoutMs: timeout_seconds * 1000
+    });
+    if (job.status === 'failed') {
+      return JSON.stringify({
+        success: false,
+        error_code: job.errorCode,
+        ...describeJob(job)
+      });
+    }
+    return JSON.stringify({
+      success: true,
+      ...describeJob(job)
+    });
+  } catch (error) {
+    return JSON.stringify({
+      success: false,
+      error: error.message,
+      command: args.command
+    });
+  }
+}
+
+// ============ Tool 3: Job Status ============
+const jobStatusDefinition = {
+  type: "function",
+  function: {
+    name: "job_status",
+    description: "Get the status of a background job: running/exited/killed/timed_out, PID, runtime, exit code and output sizes",
+    parameters: {
+      type: "object",
+      properties: {
+        job_id: {
+          type: "string",
+          description: "The job ID returned by start_job"
+        }
+      },
+      required: ["job_id"]
+    }
+  }
+};
+
+async function jobStatusHandler(args) {
+  const job = getJob(args.job_id);
+  if (!job) {
+    return JSON.stringify({
+      success: false,
+      error: `Unknown job: ${args.job_id}`
+    });
+  }
+  return JSON.stringify({
+    success: true,
+    ...describeJob(job)
+  });
+}
+
+// ============ Tool 4: Job Output ============
+const jobOutputDefinition = {
+  type: "function",
+  function: {
+    name: "job_output",
+    description: "Read a background job's stdout or stderr log. Page through it with offset/limit (bytes) using next_offset, or read only the last lines with tail.",
+    parameters: {
+      type: "object",
+      properties: {
+        job_id: {
+          type: "string",
+          description: "The job ID returned by start_job"
+        },
+        stream: {
+          type: "string",
+          enum: ["stdout", "stderr"],
+          description: "Which log to read (default: stdout)"
+        },
+        offset: {
+          type: "number",
+          description: "Byte offset to start reading from (default: 0)"
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of bytes to return (default: 65536)"
+        },
+        tail: {
+          type: "number",
+          description: "Return only the last N lines instead of reading from offset"
+        }
+      },
+      required: ["job_id"]
+    }
+  }
+};
+
+async function jobOutputHandler(args) {
+  try {
+    const { job_id, stream = "stdout", offset = 0, limit = 65536, tail = null } = args;
+    const job = getJob(job_id);
+    if (!job) {
+      return JSON.stringify({
+        success: false,
+        error: `Unknown job: ${job_id}`
+      });
+    }
+    return JSON.stringify({
+      success: true,
+      job_id: job.id,
+      status: job.status,
+      ...readJobOutput(job, { stream, offset, limit, tail })
+    });
+  } catch (error) {
+    return JSON.stringify({
+      success: false,
+      error: error.message,
+      job_id: args.job_id
+    });
+  }
+}
+
+// ============ Tool 5: List Jobs ============
+const listJobsDefinition = {
+  type: "function",
+  function: {
+    name: "list_jobs",
+    description: "List all background jobs started in this session with their status",
+    parameters: {
+      type: "object",
+      properties: {},
+      required: []
+    }
+  }
+};
+
+async function listJobsHandler(args) {
+  const jobList = listJobs().map(describeJob);
+  return JSON.stringify({
+    success: true,
+    total_jobs: jobList.length,
+    running: jobList.filter(j => j.status === "running").length,
+    jobs: jobList
+  });
+}
+
+// ============ Tool 6: Kill Job ============
+const killJobDefinition = {
+  type: "function",
+  function: {
+    name: "kill_job",
+    description: "Stop a running background job and every process it started. Sends SIGTERM, then SIGKILL if it is still alive after 5 seconds.",
+    parameters: {
+      type: "object",
+      properties: {
+        job_id: {
+          type: "string",
+          description: "The job ID returned by start_job"
+        },
+        signal: {
+          type: "string",
+          enum: ["SIGTERM", "SIGINT", "SIGKILL"],
+          description: "Signal to send first (default: SIGTERM)"
+        }
+      },
+      required: ["job_id"]
+    }
+  }
+};
+
+async function killJobHandler(args) {
+  const { job_id, signal = "SIGTERM" } = args;
+  const job = killJob(job_id, signal);
+  if (!job) {
+    return JSON.stringify({
+      success: false,
+      error: `Unknown job: ${job_id}`
     });
   }
+  return JSON.stringify({
+    success: true,
+    signal_sent: signal,
+    ...describeJob(job)
+  });
 }
 
 // ============ Plugin Initialization ============
 export async function init(toolRegistry) {
   toolRegistry.register(executeCommandDefinition, executeCommandHandler);
+  toolRegistry.register(startJobDefinition, startJobHandler);
+  toolRegistry.register(jobStatusDefinition, jobStatusHandler);
+  toolRegistry.register(jobOutputDefinition, jobOutputHandler);
+  toolRegistry.register(listJobsDefinition, listJobsHandler);
+  toolRegistry.register(killJobDefinition, killJobHandler);
   
   console.log("   ⚡ Command execution plugin initialized");
 }
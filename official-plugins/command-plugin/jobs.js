@@ -0,0 +1,235 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * In-process job table for long-running commands
+ * Each job writes stdout and stderr straight to log files under
+ * CORTEXAI_JOBS_DIR (default ~/.cortexai/jobs) so output survives any size
+ */
+
+import { spawn } from "child_process";
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { killProcessTree } from "./process.js";
+
+const jobs = new Map();
+let nextJobNumber = 1;
+
+export function getJobsDir() {
+  return process.env.CORTEXAI_JOBS_DIR || path.join(os.homedir(), '.cortexai', 'jobs');
+}
+
+// Jobs are tied to the agent's lifetime; don't leave scans running after it exits
+process.on('exit', () => {
+  for (const job of jobs.values()) {
+    if (job.status === 'running') killProcessTree(job.child, 'SIGTERM');
+  }
+});
+
+/**
+ * Start a command in the background
+ * Resolves once the process has started or failed to (e.g. a missing working
+ * directory), so the caller never reports a job as running that never ran.
+ * @returns {Promise<Object>} Job record; status is 'failed' and error set when it could not start
+ */
+export async function startJob(command, { cwd = process.cwd(), timeoutMs = 0, name = null } = {}) {
+  const id = `job-${nextJobNumber++}`;
+  const startedAt = new Date();
+  const logDir = path.join(getJobsDir(), `${startedAt.toISOString().replace(/[:.]/g, '-')}-${id}`);
+  fs.mkdirSync(logDir, { recursive: true });
+
+  const stdoutLog = path.join(logDir, 'stdout.log');
+  const stderrLog = path.join(logDir, 'stderr.log');
+  const stdoutFd = fs.openSync(stdoutLog, 'a');
+  const stderrFd = fs.openSync(stderrLog, 'a');
+
+  let child;
+  try {
+    child = spawn(command, {
+      cwd: cwd,
+      shell: '/bin/bash',
+      detached: process.platform !== 'win32',
+      stdio: ['ignore', stdoutFd, stderrFd]
+    });
+  } finally {
+    // The child holds its own copies of the descriptors
+    fs.closeSync(stdoutFd);
+    fs.closeSync(stderrFd);
+  }
+  child.unref();
+
+  const job = {
+    id: id,
+    name: name,
+    command: command,
+    cwd: cwd,
+    pid: child.pid,
+    status: 'running',
+    started_at: startedAt.toISOString(),
+    ended_at: null,
+    exit_code: null,
+    signal: null,
+    timed_out: false,
+    error: null,
+    errorCode: null,
+    stdout_log: stdoutLog,
+    stderr_log: stderrLog,
+    child: child,
+    timeoutTimer: null,
+    killTimer: null
+  };
+  jobs.set(id, job);
+
+  if (timeoutMs > 0) {
+    job.timeoutTimer = setTimeout(() => {
+      job.timed_out = true;
+      terminate(job, 'SIGTERM');
+    }, timeoutMs);
+    job.timeoutTimer.unref();
+  }
+
+  child.on('error', (error) => {
+    job.error = error.message;
+    job.errorCode = error.code || null;
+    if (job.status === 'running' && child.pid === undefined) {
+      job.status = 'failed';
+      job.ended_at = new Date().toISOString();
+    }
+  });
+
+  const started = new Promise((resolve) => {
+    child.once('spawn', resolve);
+    child.once('error', resolve);
+  });
+
+  child.on('exit', (code, signal) => {
+    clearTimeout(job.timeoutTimer);
+    clearTimeout(job.killTimer);
+    job.exit_code = code;
+    job.signal = signal;
+    job.ended_at = new Date().toISOString();
+    if (job.timed_out) {
+      job.status = 'timed_out';
+    } else if (job.status === 'killing') {
+      job.status = 'killed';
+    } else {
+      job.status = 'exited';
+    }
+  });
+
+  await started;
+  if (job.status === 'failed') clearTimeout(job.timeoutTimer);
+  return job;
+}
+
+// SIGTERM first, then SIGKILL if the group is still alive after the grace period
+function terminate(job, signal, graceMs = 5000) {
+  if (job.status !== 'running' && job.status !== 'killing') return;
+  if (!job.timed_out) job.status = 'killing';
+  killProcessTree(job.child, signal);
+  if (signal !== 'SIGKILL') {
+    job.killTimer = setTimeout(() => killProcessTree(job.child, 'SIGKILL'), graceMs);
+    job.killTimer.unref();
+  }
+}
+
+export function killJob(id, signal = 'SIGTERM') {
+  const job = jobs.get(id);
+  if (!job) return null;
+  terminate(job, signal);
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+export function listJobs() {
+  return Array.from(jobs.values());
+}
+
+export function describeJob(job) {
+  const sizeOf = (file) => {
+    try {
+      return fs.statSync(file).size;
+    } catch (error) {
+      return 0;
+    }
+  };
+  const endTime = job.ended_at ? Date.parse(job.ended_at) : Date.now();
+  return {
+    job_id: job.id,
+    name: job.name,
+    command: job.command,
+    working_directory: job.cwd,
+    pid: job.pid,
+    status: job.status,
+    started_at: job.started_at,
+    ended_at: job.ended_at,
+    runtime_seconds: Math.round((endTime - Date.parse(job.started_at)) / 1000),
+    exit_code: job.exit_code,
+    signal: job.signal,
+    timed_out: job.timed_out,
+    error: job.error,
+    stdout_log: job.stdout_log,
+    stderr_log: job.stderr_log,
+    stdout_bytes: sizeOf(job.stdout_log),
+    stderr_bytes: sizeOf(job.stderr_log)
+  };
+}
+
+/**
+ * Read a page of a job's log
+ * @param {Object} job - Job record
+ * @param {Object} options - stream ('stdout'|'stderr'), offset/limit in bytes, or tail in lines
+ * @returns {Object} content plus the offsets needed to fetch the next page
+ */
+export function readJobOutput(job, { stream = 'stdout', offset = 0, limit = 65536, tail = null } = {}) {
+  const logFile = stream === 'stderr' ? job.stderr_log : job.stdout_log;
+  const totalBytes = fs.statSync(logFile).size;
+  const fd = fs.openSync(logFile, 'r');
+
+  try {
+    const start = Math.max(0, Math.min(offset, totalBytes));
+    const length = Math.min(limit, totalBytes - start);
+
+    if (tail !== null) {
+      // Take the last `tail` lines from the final `limit` bytes of the log
+      const windowSize = Math.min(totalBytes, limit);
+      const window = Buffer.alloc(windowSize);
+      if (windowSize > 0) fs.readSync(fd, window, 0, windowSize, totalBytes - windowSize);
+      const text = window.toString('utf-8');
+      const trailing = text.endsWith('\n') ? '\n' : '';
+      const lines = text.slice(0, text.length - trailing.length).split('\n');
+      const content = tail > 0 ? lines.slice(Math.max(0, lines.length - tail)).join('\n') + trailing : '';
+      return {
+        stream: stream,
+        content: content,
+        offset: totalBytes - Buffer.byteLength(content),
+        next_offset: totalBytes,
+        total_bytes: totalBytes,
+        eof: true
+      };
+    }
+
+    const buffer = Buffer.alloc(Math.max(0, length));
+    if (length > 0) fs.readSync(fd, buffer, 0, length, start);
+    return {
+      stream: stream,
+      content: buffer.toString('utf-8'),
+      offset: start,
+      next_offset: start + length,
+      total_bytes: totalBytes,
+      eof: start + length >= totalBytes
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
@@ -0,0 +1,748 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Command allow/deny policy for the command plugin
+ *
+ * Command lines are parsed into simple commands (through pipes, &&, ||, ;,
+ * subshells, $(...) and backticks, sh -c and wrappers like sudo/env/timeout)
+ * and every command is matched against the rules. The policy is read from the
+ * file named by CORTEXAI_COMMAND_POLICY, falling back to
+ * ~/.cortexai/command-policy.json:
+ *
+ * {
+ *   "default_action": "allow",
+ *   "use_builtin_rules": true,
+ *   "rules": [
+ *     { "id": "no-masscan", "action": "deny", "commands": ["masscan"], "reason": "Not approved for this engagement" },
+ *     { "id": "confirm-sudo", "action": "confirm", "commands": ["*"], "sudo": true }
+ *   ]
+ * }
+ *
+ * Rule fields: commands (program names, * wildcards), args_pattern (regex tested
+ * against the arguments), sudo (only commands run through sudo/doas/su),
+ * piped_to (programs receiving this command's output, at any later pipeline
+ * stage or through the <(...) or $(...) it runs in), redirect_pattern (regex
+ * tested against redirection targets) and cwd_pattern (regex tested against
+ * the directory an earlier cd on the same command line moved to).
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const ACTION_SEVERITY = { allow: 0, confirm: 1, deny: 2 };
+
+// Each rule lists command lines it has to catch
+const BUILTIN_RULES = [
+  {
+    // rm -rf /, rm -rf ~/*, rm -rf $HOME, rm -rf /home/alice, rm -rf /root, sudo rm -r /etc
+    id: "builtin:rm-recursive-root-or-home",
+    action: "deny",
+    commands: ["rm"],
+    args_pattern: "^(?=.*(?:^|\\s)(?:-[a-zA-Z]*[rR][a-zA-Z]*|--recursive)(?:\\s|$))(?=.*(?:^|\\s)(?:/+\\*?|~[A-Za-z0-9._-]*/?\\*?|\\$HOME/?\\*?|\\$\\{HOME\\}/?\\*?|/(?:home|root|etc|usr|var|boot|bin|lib|opt|srv)/?\\*?|/home/[^/\\s]+/?\\*?)(?:\\s|$))",
+    reason: "Recursive delete of the filesystem root, a home directory or a system directory"
+  },
+  {
+    // cd / && rm -rf ., cd ~ && rm -rf *, cd /home/alice; rm -r ..
+    id: "builtin:rm-recursive-after-cd-to-root-or-home",
+    action: "deny",
+    commands: ["rm"],
+    cwd_pattern: "^(?:/+|~[A-Za-z0-9._-]*/?|\\$HOME/?|\\$\\{HOME\\}/?|/(?:home|root|etc|usr|var|boot|bin|lib|opt|srv)/?|/home/[^/]+/?)$",
+    args_pattern: "^(?=.*(?:^|\\s)(?:-[a-zA-Z]*[rR][a-zA-Z]*|--recursive)(?:\\s|$))(?=.*(?:^|\\s)(?:\\.{1,2}/?|\\.?/?\\*|\\.\\*)(?:\\s|$))",
+    reason: "Recursive delete of the filesystem root, a home directory or a system directory"
+  },
+  {
+    // curl -s x | sh, curl x | tee /tmp/a | sh, (curl x) | sh, { curl x; } | sh, bash <(curl -s x), sh -c "$(curl -s x)"
+    id: "builtin:download-piped-to-shell",
+    action: "deny",
+    commands: ["curl", "wget", "fetch"],
+    piped_to: ["sh", "bash", "zsh", "dash", "ksh", "fish", "python", "python3", "perl", "ruby", "node"],
+    reason: "Piping downloaded content straight into an interpreter"
+  },
+  {
+    id: "builtin:format-or-wipe-disk",
+    action: "deny",
+    commands: ["mkfs", "mkfs.*", "wipefs", "fdisk", "sfdisk", "parted"],
+    reason: "Formatting or repartitioning a disk"
+  },
+  {
+    id: "builtin:dd-to-device",
+    action: "deny",
+    commands: ["dd"],
+    args_pattern: "(?:^|\\s)of=/dev/(?!null\\b)",
+    reason: "Writing raw data to a device"
+  },
+  {
+    id: "builtin:redirect-to-device-or-ssh-keys",
+    action: "deny",
+    commands: ["*"],
+    redirect_pattern: "^(?:/dev/(?:sd|nvme|hd|vd|xvd|mmcblk)|.*(?:^|/)\\.ssh/authorized_keys2?$)",
+    reason: "Redirecting output onto a block device or into SSH authorized_keys"
+  },
+  {
+    id: "builtin:recursive-permission-change-on-root",
+    action: "deny",
+    commands: ["chmod", "chown", "chgrp"],
+    args_pattern: "^(?=.*(?:^|\\s)(?:-[a-zA-Z]*R[a-zA-Z]*|--recursive)(?:\\s|$))(?=.*(?:^|\\s)(?:/|~|\\$HOME)(?:\\s|$))",
+    reason: "Recursive permission or ownership change on / or a home directory"
+  },
+  {
+    id: "builtin:power-state",
+    action: "confirm",
+    commands: ["shutdown", "reboot", "halt", "poweroff"],
+    reason: "Changes the power state of the machine"
+  }
+];
+
+let confirmationHandler = null;
+
+let cachedPolicy = null;
+let cachedPolicyFile = null;
+let cachedPolicyMtime = null;
+
+/**
+ * Register the callback used for commands that match a "confirm" rule
+ * @param {Function|null} handler - async ({ command, tool, working_directory, matches }) => boolean
+ */
+export function setConfirmationHandler(handler) {
+  confirmationHandler = typeof handler === 'function' ? handler : null;
+}
+
+export function getCommandPolicyFile() {
+  return process.env.CORTEXAI_COMMAND_POLICY || path.join(os.homedir(), '.cortexai', 'command-policy.json');
+}
+
+// Reads the policy file, re-reading it only when its mtime changes
+export function loadCommandPolicy() {
+  const policyFile = getCommandPolicyFile();
+  let stats = null;
+  try {
+    stats = fs.statSync(policyFile);
+  } catch (error) {
+    // No policy file: builtin rules only
+  }
+
+  const mtime = stats ? stats.mtimeMs : null;
+  if (cachedPolicy && cachedPolicyFile === policyFile && cachedPolicyMtime === mtime) {
+    return cachedPolicy;
+  }
+
+  let raw = {};
+  let userRules = [];
+  let loadError = null;
+  if (stats) {
+    try {
+      raw = JSON.parse(fs.readFileSync(policyFile, 'utf-8'));
+      userRules = (raw.rules || []).map((rule, index) => compileRule({ id: `rule-${index + 1}`, ...rule }));
+    } catch (error) {
+      loadError = error.message;
+    }
+  }
+
+  cachedPolicy = {
+    file: stats ? policyFile : null,
+    loadError: loadError,
+    defaultAction: ACTION_SEVERITY[raw.default_action] !== undefined ? raw.default_action : 'allow',
+    rules: raw.use_builtin_rules === false ? userRules : [...userRules, ...BUILTIN_RULES.map(compileRule)]
+  };
+  cachedPolicyFile = policyFile;
+  cachedPolicyMtime = mtime;
+  return cachedPolicy;
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+function compileRule(rule) {
+  return {
+    ...rule,
+    action: ACTION_SEVERITY[rule.action] !== undefined ? rule.action : 'deny',
+    commandMatchers: (rule.commands || ['*']).map(globToRegExp),
+    argsRegExp: rule.args_pattern ? new RegExp(rule.args_pattern) : null,
+    redirectRegExp: rule.redirect_pattern ? new RegExp(rule.redirect_pattern) : null,
+    cwdRegExp: rule.cwd_pattern ? new RegExp(rule.cwd_pattern) : null,
+    pipedToMatchers: rule.piped_to ? rule.piped_to.map(globToRegExp) : null
+  };
+}
+
+// ============ Shell Parsing ============
+
+// Returns the index of the ")" closing a "(" opened just before `start`
+function findClosingParen(input, start) {
+  let depth = 1;
+  let i = start;
+  while (i < input.length) {
+    const ch = input[i];
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === "'") {
+      const end = input.indexOf("'", i + 1);
+      if (end === -1) throw new Error('Unterminated single quote');
+      i = end + 1;
+      continue;
+    }
+    if (ch === '"') {
+      i++;
+      while (i < input.length && input[i] !== '"') i += input[i] === '\\' ? 2 : 1;
+      if (i >= input.length) throw new Error('Unterminated double quote');
+      i++;
+      continue;
+    }
+    if (ch === '(') depth++;
+    if (ch === ')') {
+      depth--;
+      if (depth === 0) return i;
+    }
+    i++;
+  }
+  throw new Error('Unterminated parenthesis');
+}
+
+// Returns the index of the "}" closing a { ... } group opened just before `start`; only braces standing as words count
+function findClosingBrace(input, start) {
+  let depth = 1;
+  let i = start;
+  while (i < input.length) {
+    const ch = input[i];
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === "'") {
+      const end = input.indexOf("'", i + 1);
+      if (end === -1) throw new Error('Unterminated single quote');
+      i = end + 1;
+      continue;
+    }
+    if (ch === '"') {
+      i++;
+      while (i < input.length && input[i] !== '"') i += input[i] === '\\' ? 2 : 1;
+      if (i >= input.length) throw new Error('Unterminated double quote');
+      i++;
+      continue;
+    }
+    const before = i === 0 ? ' ' : input[i - 1];
+    const after = input[i + 1] === undefined ? ' ' : input[i + 1];
+    if (ch === '{' && /[\s;&|(]/.test(before) && /\s/.test(after)) depth++;
+    if (ch === '}' && /[\s;&|]/.test(before) && /[\s;&|)]/.test(after)) {
+      depth--;
+      if (depth === 0) return i;
+    }
+    i++;
+  }
+  throw new Error('Unterminated brace group');
+}
+
+function findClosingBacktick(input, start) {
+  let i = start;
+  while (i < input.length) {
+    if (input[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (input[i] === '`') return i;
+    i++;
+  }
+  throw new Error('Unterminated backtick');
+}
+
+function newCommand() {
+  return { argv: [], redirects: [] };
+}
+
+/**
+ * Split a shell command line into simple commands
+ * Words are unquoted but not expanded, so "$HOME" and "~" stay literal
+ * @param {string} input - Command line
+ * @returns {Array<Object>} commands with program, args, redirects and pipeline neighbours
+ */
+export function parseShellCommands(input) {
+  const commands = splitCommands(input).map(normalizeCommand).reduce((all, command) => all.concat(command), []);
+  trackDirectories(commands);
+  return commands;
+}
+
+// Follows literal cd/pushd targets so later commands know where they run; unknown after anything else
+function trackDirectories(commands) {
+  let directory = null;
+  for (const command of commands) {
+    command.directory = directory;
+    if (command.program !== 'cd' && command.program !== 'pushd') continue;
+    const target = command.args.find(arg => !arg.startsWith('-'));
+    if (target === undefined) {
+      directory = '~';
+    } else if (/^(?:\/|~|\$HOME\b|\$\{HOME\})/.test(target)) {
+      directory = path.posix.normalize(target);
+    } else {
+      directory = directory !== null ? path.posix.join(directory, target) : null;
+    }
+  }
+}
+
+// Tokenizes the command line into raw argv/redirect lists linked by pipes
+function splitCommands(input) {
+  const commands = [];
+  let pipeline = [];
+  let current = newCommand();
+  let word = null;
+  let pendingRedirect = null;
+  const heredocDelimiters = [];
+
+  const finishWord = () => {
+    if (word === null) return;
+    if (pendingRedirect) {
+      current.redirects.push({ operator: pendingRedirect, target: word });
+      if (pendingRedirect.endsWith('<<') || pendingRedirect.endsWith('<<-')) heredocDelimiters.push(word);
+      pendingRedirect = null;
+    } else {
+      current.argv.push(word);
+    }
+    word = null;
+  };
+
+  const finishCommand = () => {
+    finishWord();
+    if (current.argv.length > 0 || current.redirects.length > 0 || current.members) pipeline.push(current);
+    current = newCommand();
+  };
+
+  const finishPipeline = () => {
+    finishCommand();
+    pipeline.forEach((command, index) => {
+      command.pipedFrom = index > 0 ? pipeline[index - 1] : null;
+      command.pipedTo = index < pipeline.length - 1 ? pipeline[index + 1] : null;
+      // Everything a group prints, from any of its commands, goes to the next stage
+      if (command.members && command.pipedTo) {
+        for (const member of command.members) {
+          if (!member.pipedTo && !member.substitutedInto) member.pipedTo = command.pipedTo;
+        }
+      }
+    });
+    commands.push(...pipeline);
+    pipeline = [];
+  };
+
+  // The output of $(...), `...` and <(...) is read by the command they appear in; >(...) reads from it instead
+  const pushSubstitution = (inner, readByCommand) => {
+    const innerCommands = splitCommands(inner);
+    if (readByCommand) {
+      for (const command of innerCommands) {
+        if (!command.pipedTo) command.substitutedInto = current;
+      }
+    }
+    commands.push(...innerCommands);
+  };
+
+  const appendSubstitution = (inner, text, readByCommand) => {
+    pushSubstitution(inner, readByCommand);
+    word = (word || '') + text;
+  };
+
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    const next = input[i + 1];
+
+    if (ch === '\\') {
+      if (next !== '\n' && next !== undefined) word = (word || '') + next;
+      i += 2;
+      continue;
+    }
+
+    if (ch === "'") {
+      const end = input.indexOf("'", i + 1);
+      if (end === -1) throw new Error('Unterminated single quote');
+      word = (word || '') + input.slice(i + 1, end);
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '"') {
+      let j = i + 1;
+      let buffer = '';
+      while (j < input.length && input[j] !== '"') {
+        if (input[j] === '\\' && '"\\$`\n'.includes(input[j + 1])) {
+          buffer += input[j + 1];
+          j += 2;
+        } else if (input[j] === '$' && input[j + 1] === '(' && input[j + 2] !== '(') {
+          const end = findClosingParen(input, j + 2);
+          pushSubstitution(input.slice(j + 2, end), true);
+          buffer += input.slice(j, end + 1);
+          j = end + 1;
+        } else if (input[j] === '`') {
+          const end = findClosingBacktick(input, j + 1);
+          pushSubstitution(input.slice(j + 1, end), true);
+          buffer += input.slice(j, end + 1);
+          j = end + 1;
+        } else {
+          buffer += input[j];
+          j++;
+        }
+      }
+      if (j >= input.length) throw new Error('Unterminated double quote');
+      word = (word || '') + buffer;
+      i = j + 1;
+      continue;
+    }
+
+    // $(( arithmetic )) holds no commands; $( ... ), `...` and <( ... ) do
+    if (ch === '$' && next === '(' && input[i + 2] === '(') {
+      const end = findClosingParen(input, i + 2);
+      word = (word || '') + input.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+    if ((ch === '$' || ((ch === '<' || ch === '>') && word === null)) && next === '(') {
+      const end = findClosingParen(input, i + 2);
+      appendSubstitution(input.slice(i + 2, end), input.slice(i, end + 1), ch !== '>');
+      i = end + 1;
+      continue;
+    }
+    if (ch === '`') {
+      const end = findClosingBacktick(input, i + 1);
+      appendSubstitution(input.slice(i + 1, end), input.slice(i, end + 1), true);
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '#' && word === null) {
+      while (i < input.length && input[i] !== '\n') i++;
+      continue;
+    }
+
+    if (ch === '\n') {
+      finishPipeline();
+      i++;
+      // Heredoc bodies are data, not commands
+      while (heredocDelimiters.length > 0 && i < input.length) {
+        const lineEnd = input.indexOf('\n', i) === -1 ? input.length : input.indexOf('\n', i);
+        if (input.slice(i, lineEnd).replace(/^\t+/, '') === heredocDelimiters[0]) heredocDelimiters.shift();
+        i = lineEnd + 1;
+      }
+      continue;
+    }
+
+    if (ch === ' ' || ch === '\t') {
+      finishWord();
+      i++;
+      continue;
+    }
+
+    // ( ... ) and { ...; } at the start of a command are one pipeline stage holding their commands
+    if (word === null && current.argv.length === 0 && !current.members &&
+        (ch === '(' || (ch === '{' && /\s/.test(next || '')))) {
+      const end = ch === '(' ? findClosingParen(input, i + 1) : findClosingBrace(input, i + 1);
+      current.members = splitCommands(input.slice(i + 1, end));
+      commands.push(...current.members);
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === ';' || ch === '(' || ch === ')') {
+      finishPipeline();
+      i += ch === ';' && next === ';' ? 2 : 1;
+      continue;
+    }
+
+    if (ch === '&') {
+      if (next === '>') {
+        finishWord();
+        pendingRedirect = input[i + 2] === '>' ? '&>>' : '&>';
+        i += pendingRedirect.length;
+        continue;
+      }
+      finishPipeline();
+      i += next === '&' ? 2 : 1;
+      continue;
+    }
+
+    if (ch === '|') {
+      if (next === '|') {
+        finishPipeline();
+        i += 2;
+      } else {
+        finishCommand();
+        i += next === '&' ? 2 : 1;
+      }
+      continue;
+    }
+
+    if (ch === '>' || ch === '<') {
+      // A bare number before the operator is the file descriptor, e.g. 2>/dev/null
+      let operator = '';
+      if (word !== null && /^\d+$/.test(word)) {
+        operator = word;
+        word = null;
+      } else {
+        finishWord();
+      }
+      let j = i;
+      operator += input[j++];
+      if (input[j] === ch) operator += input[j++];
+      if (operator.endsWith('<<') && input[j] === '<') operator += input[j++];
+      if (operator.endsWith('<<') && input[j] === '-') operator += input[j++];
+      if (input[j] === '&' || input[j] === '|') operator += input[j++];
+      pendingRedirect = operator;
+      i = j;
+      continue;
+    }
+
+    word = (word || '') + ch;
+    i++;
+  }
+
+  if (pendingRedirect && word === null) throw new Error(`Missing target for redirection ${pendingRedirect}`);
+  finishPipeline();
+  return commands;
+}
+
+const RESERVED_WORDS = ['if', 'then', 'else', 'elif', 'do', 'while', 'until', '!', '{', '}'];
+const BLOCK_HEADERS = ['for', 'case', 'select', 'function', 'fi', 'done', 'esac'];
+
+// Wrappers that run another command; values list options that take an argument
+const COMMAND_WRAPPERS = {
+  sudo: ['-u', '-g', '-h', '-p', '-U', '-C', '-D', '-r', '-t', '-T', '--user', '--group'],
+  doas: ['-u', '-C'],
+  env: ['-u', '-C', '-S', '--unset', '--chdir'],
+  nohup: [],
+  nice: ['-n', '--adjustment'],
+  ionice: ['-c', '-n', '-p'],
+  timeout: ['-s', '-k', '--signal', '--kill-after'],
+  time: ['-f', '-o'],
+  command: [],
+  builtin: [],
+  exec: ['-a'],
+  stdbuf: ['-i', '-o', '-e'],
+  xargs: ['-I', '-n', '-P', '-d', '-L', '-s', '-a', '-E'],
+  strace: ['-o', '-e', '-p', '-s'],
+  ltrace: ['-o', '-e', '-p', '-s'],
+  unbuffer: [],
+  torsocks: [],
+  proxychains: ['-f'],
+  proxychains4: ['-f'],
+  chroot: [],
+  watch: ['-n', '-d']
+};
+
+const SHELLS = ['sh', 'bash', 'zsh', 'dash', 'ksh', 'fish'];
+
+// Strips assignments, reserved words and wrappers such as sudo, env and timeout
+function unwrapArgv(originalArgv) {
+  const argv = [...originalArgv];
+  const wrappers = [];
+  let sudo = false;
+
+  while (argv.length > 0) {
+    const program = path.basename(argv[0]);
+    if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(argv[0]) || RESERVED_WORDS.includes(argv[0])) {
+      argv.shift();
+      continue;
+    }
+    if (!COMMAND_WRAPPERS[program]) break;
+
+    wrappers.push(program);
+    if (program === 'sudo' || program === 'doas') sudo = true;
+    argv.shift();
+    while (argv.length > 0 && (argv[0].startsWith('-') || (program === 'env' && argv[0].includes('=')))) {
+      const option = argv.shift();
+      if (option === '--') break;
+      if (COMMAND_WRAPPERS[program].includes(option)) argv.shift();
+    }
+    // timeout takes a duration and chroot a directory before the command
+    if ((program === 'timeout' || program === 'chroot') && argv.length > 0) argv.shift();
+    // watch runs its arguments through sh -c
+    if (program === 'watch' && argv.length > 0) {
+      argv.splice(0, argv.length, ...argv.join(' ').split(/\s+/));
+    }
+  }
+
+  return { argv, wrappers, sudo };
+}
+
+// Describes one raw command and expands the scripts of sh -c, eval and su -c
+function normalizeCommand(command) {
+  const { argv, wrappers, sudo } = unwrapArgv(command.argv);
+
+  if (argv.length === 0) {
+    return command.redirects.length > 0 ? [describeCommand(command, ['(redirect)'], wrappers, sudo)] : [];
+  }
+  if (BLOCK_HEADERS.includes(argv[0])) return [];
+
+  const program = path.basename(argv[0]);
+  const described = describeCommand(command, argv, wrappers, sudo);
+  const nested = [];
+
+  let script = null;
+  if (SHELLS.includes(program)) {
+    const flagIndex = argv.findIndex((arg, index) => index > 0 && /^-[a-zA-Z]*c[a-zA-Z]*$/.test(arg));
+    if (flagIndex !== -1 && argv[flagIndex + 1] !== undefined) script = argv[flagIndex + 1];
+  } else if (program === 'eval') {
+    script = argv.slice(1).join(' ');
+  } else if (program === 'su') {
+    const flagIndex = argv.findIndex(arg => arg === '-c' || arg === '--command');
+    if (flagIndex !== -1 && argv[flagIndex + 1] !== undefined) script = argv[flagIndex + 1];
+    described.sudo = true;
+  }
+
+  if (script !== null) {
+    for (const inner of parseShellCommands(script)) {
+      inner.via = program;
+      inner.sudo = inner.sudo || described.sudo;
+      // Output of the inner script flows wherever the wrapper's output goes
+      inner.pipedTo = [...inner.pipedTo, ...described.pipedTo];
+      nested.push(inner);
+    }
+  }
+
+  return [described, ...nested];
+}
+
+function describeCommand(command, argv, wrappers, sudo) {
+  const neighbour = (other) => {
+    if (!other) return null;
+    const unwrapped = unwrapArgv(other.argv).argv;
+    return unwrapped.length > 0 ? path.basename(unwrapped[0]) : null;
+  };
+  // Every program the output reaches, so "curl x | tee f | sh" and "cat <(curl x) | sh" both reach sh
+  const downstream = [];
+  const visited = new Set();
+  let receiver = command.pipedTo || command.substitutedInto;
+  while (receiver && !visited.has(receiver)) {
+    visited.add(receiver);
+    // Any command of a group may read what is piped into it
+    const names = receiver.members ? receiver.members.map(neighbour) : [neighbour(receiver)];
+    downstream.push(...names.filter(Boolean));
+    receiver = receiver.pipedTo || receiver.substitutedInto;
+  }
+  return {
+    program: path.basename(argv[0]),
+    args: argv.slice(1),
+    text: argv.join(' '),
+    sudo: sudo,
+    wrappers: wrappers,
+    redirects: command.redirects,
+    pipedTo: downstream,
+    pipedFrom: neighbour(command.pipedFrom),
+    via: null
+  };
+}
+
+// ============ Evaluation ============
+
+function ruleMatches(rule, command) {
+  if (!rule.commandMatchers.some(m => m.test(command.program))) return false;
+  if (rule.sudo === true && !command.sudo) return false;
+  if (rule.sudo === false && command.sudo) return false;
+  if (rule.argsRegExp && !rule.argsRegExp.test(command.args.join(' '))) return false;
+  if (rule.pipedToMatchers && !command.pipedTo.some(program => rule.pipedToMatchers.some(m => m.test(program)))) return false;
+  if (rule.redirectRegExp && !command.redirects.some(r => !r.operator.includes('<') && rule.redirectRegExp.test(r.target))) return false;
+  if (rule.cwdRegExp && !(command.directory !== null && rule.cwdRegExp.test(command.directory))) return false;
+  return true;
+}
+
+/**
+ * Evaluate a command line against the active policy
+ * @param {string} commandLine - The full command line
+ * @returns {{action: string, matches: Array<Object>, commands: Array<string>}}
+ */
+export function evaluateCommandPolicy(commandLine) {
+  const policy = loadCommandPolicy();
+
+  if (policy.loadError) {
+    return {
+      action: 'deny',
+      matches: [{ rule_id: 'invalid_policy', action: 'deny', reason: `Command policy ${policy.file} could not be loaded: ${policy.loadError}` }],
+      commands: []
+    };
+  }
+
+  let commands;
+  try {
+    commands = parseShellCommands(commandLine);
+  } catch (error) {
+    return {
+      action: 'deny',
+      matches: [{ rule_id: 'unparseable', action: 'deny', reason: `Command line could not be parsed: ${error.message}` }],
+      commands: []
+    };
+  }
+
+  const matches = [];
+  let action = 'allow';
+  for (const command of commands) {
+    const rule = policy.rules.find(r => ruleMatches(r, command));
+    const commandAction = rule ? rule.action : policy.defaultAction;
+    if (rule && rule.action !== 'allow') {
+      matches.push({ rule_id: rule.id, action: rule.action, reason: rule.reason || null, command: command.text, sudo: command.sudo });
+    } else if (!rule && policy.defaultAction !== 'allow') {
+      matches.push({ rule_id: 'default_action', action: policy.defaultAction, reason: `No rule allows ${command.program}`, command: command.text, sudo: command.sudo });
+    }
+    if (ACTION_SEVERITY[commandAction] > ACTION_SEVERITY[action]) action = commandAction;
+  }
+
+  return { action, matches, commands: commands.map(c => c.text) };
+}
+
+/**
+ * Gate a command before it runs
+ * @returns {Promise<Object|null>} null when the command may run, otherwise a structured refusal
+ */
+export async function enforceCommandPolicy(commandLine, { tool, workingDirectory }) {
+  const evaluation = evaluateCommandPolicy(commandLine);
+  if (evaluation.action === 'allow') return null;
+
+  const relevant = evaluation.matches.filter(m => m.action === evaluation.action);
+  const describe = relevant.map(m => `${m.rule_id}${m.reason ? ` (${m.reason})` : ''}`).join('; ');
+
+  if (evaluation.action === 'deny') {
+    return {
+      success: false,
+      error_code: "COMMAND_DENIED",
+      error: `Command refused by policy: ${describe}`,
+      command: commandLine,
+      matched_rules: relevant
+    };
+  }
+
+  if (!confirmationHandler) {
+    return {
+      success: false,
+      error_code: "CONFIRMATION_REQUIRED",
+      error: `Command requires user confirmation, but no confirmation handler is registered: ${describe}`,
+      command: commandLine,
+      matched_rules: relevant
+    };
+  }
+
+  let confirmed = false;
+  try {
+    confirmed = await confirmationHandler({
+      command: commandLine,
+      tool: tool,
+      working_directory: workingDirectory,
+      matches: relevant
+    });
+  } catch (error) {
+    confirmed = false;
+  }
+
+  if (confirmed === true) return null;
+  return {
+    success: false,
+    error_code: "COMMAND_NOT_CONFIRMED",
+    error: `User declined to run the command: ${describe}`,
+    command: commandLine,
+    matched_rules: relevant
+  };
+}
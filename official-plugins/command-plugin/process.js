@@ -0,0 +1,142 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Process helpers for the command plugin
+ * Spawns shell commands in their own process group, captures output incrementally
+ * and kills the whole group on timeout
+ */
+
+import { spawn } from "child_process";
+
+// Keeps the first and last halves of a stream once it grows past the byte limit
+export class OutputCapture {
+  constructor(limitBytes) {
+    this.headLimit = Math.ceil(limitBytes / 2);
+    this.tailLimit = Math.floor(limitBytes / 2);
+    this.head = [];
+    this.headBytes = 0;
+    this.tail = [];
+    this.tailBytes = 0;
+    this.totalBytes = 0;
+  }
+
+  append(chunk) {
+    this.totalBytes += chunk.length;
+
+    if (this.headBytes < this.headLimit) {
+      const take = Math.min(chunk.length, this.headLimit - this.headBytes);
+      this.head.push(chunk.subarray(0, take));
+      this.headBytes += take;
+      chunk = chunk.subarray(take);
+    }
+    if (chunk.length === 0 || this.tailLimit === 0) return;
+
+    this.tail.push(chunk);
+    this.tailBytes += chunk.length;
+    while (this.tailBytes - this.tail[0].length >= this.tailLimit) {
+      this.tailBytes -= this.tail.shift().length;
+    }
+  }
+
+  get truncated() {
+    return this.totalBytes > this.headBytes + Math.min(this.tailBytes, this.tailLimit);
+  }
+
+  toString() {
+    const head = Buffer.concat(this.head).toString('utf-8');
+    let tail = Buffer.concat(this.tail);
+    if (tail.length > this.tailLimit) tail = tail.subarray(tail.length - this.tailLimit);
+    if (!this.truncated) return head + tail.toString('utf-8');
+    const omitted = this.totalBytes - this.headBytes - tail.length;
+    return `${head}\n... [${omitted} bytes truncated] ...\n${tail.toString('utf-8')}`;
+  }
+}
+
+// Signals the child's whole process group so pipelines and sub-shells die with it
+export function killProcessTree(child, signal = 'SIGTERM') {
+  try {
+    if (process.platform !== 'win32') {
+      process.kill(-child.pid, signal);
+    } else {
+      child.kill(signal);
+    }
+  } catch (error) {
+    // The group may already be gone
+  }
+}
+
+/**
+ * Run a command through bash with spawn
+ * @param {string} command - Shell command line
+ * @param {Object} options - cwd, timeoutMs, maxOutputBytes, killGraceMs
+ * @returns {Promise<Object>} exit code, terminating signal, captured output and timing
+ */
+export function runCommand(command, { cwd = process.cwd(), timeoutMs = 300000, maxOutputBytes = 1024 * 1024, killGraceMs = 5000 } = {}) {
+  return new Promise((resolve) => {
+    const startTime = Date.now();
+    const stdout = new OutputCapture(maxOutputBytes);
+    const stderr = new OutputCapture(maxOutputBytes);
+    let timedOut = false;
+    let killTimer = null;
+    let timeoutTimer = null;
+
+    let child;
+    try {
+      child = spawn(command, {
+        cwd: cwd,
+        shell: '/bin/bash',
+        detached: process.platform !== 'win32',
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+    } catch (error) {
+      resolve({ spawnError: error, durationMs: 0 });
+      return;
+    }
+
+    child.stdout.on('data', (chunk) => stdout.append(chunk));
+    child.stderr.on('data', (chunk) => stderr.append(chunk));
+
+    if (timeoutMs > 0) {
+      timeoutTimer = setTimeout(() => {
+        timedOut = true;
+        killProcessTree(child, 'SIGTERM');
+        killTimer = setTimeout(() => killProcessTree(child, 'SIGKILL'), killGraceMs);
+      }, timeoutMs);
+    }
+
+    let spawnError = null;
+    child.on('error', (error) => {
+      spawnError = error;
+    });
+
+    // A detached grandchild can hold the pipes open after the shell exits
+    child.on('exit', () => {
+      setTimeout(() => {
+        child.stdout.destroy();
+        child.stderr.destroy();
+      }, killGraceMs).unref();
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timeoutTimer);
+      clearTimeout(killTimer);
+      resolve({
+        pid: child.pid,
+        exitCode: code,
+        signal: signal,
+        timedOut: timedOut,
+        spawnError: spawnError,
+        stdout: stdout,
+        stderr: stderr,
+        durationMs: Date.now() - startTime
+      });
+    });
+  });
+}
@@ -0,0 +1,230 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Unified diff creation and patch application for the filesystem plugin
+ * Lines keep their line terminators so missing final newlines and CRLF files
+ * round-trip exactly
+ */
+
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+// Above this many cells the LCS table is skipped and the changed block is replaced wholesale
+const MAX_LCS_CELLS = 4000000;
+
+export function splitLines(text) {
+  return text === '' ? [] : text.split(/(?<=\n)/);
+}
+
+function stripEol(line) {
+  return line.replace(/\r?\n$/, '');
+}
+
+// Computes a line edit script: [{ type: ' ' | '-' | '+', line }]
+function diffLines(oldLines, newLines) {
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) suffix++;
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const ops = oldLines.slice(0, prefix).map(line => ({ type: ' ', line }));
+
+  if ((a.length + 1) * (b.length + 1) > MAX_LCS_CELLS) {
+    a.forEach(line => ops.push({ type: '-', line }));
+    b.forEach(line => ops.push({ type: '+', line }));
+  } else {
+    const width = b.length + 1;
+    const table = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i * width + j] = a[i] === b[j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        ops.push({ type: ' ', line: a[i] });
+        i++;
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        ops.push({ type: '-', line: a[i++] });
+      } else {
+        ops.push({ type: '+', line: b[j++] });
+      }
+    }
+    while (i < a.length) ops.push({ type: '-', line: a[i++] });
+    while (j < b.length) ops.push({ type: '+', line: b[j++] });
+  }
+
+  oldLines.slice(oldLines.length - suffix).forEach(line => ops.push({ type: ' ', line }));
+  return ops;
+}
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} oldText - Original content
+ * @param {string} newText - Updated content
+ * @param {Object} options - fromFile, toFile and context line count
+ * @returns {string} Unified diff, empty when the texts are identical
+ */
+export function createUnifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  if (!ops.some(op => op.type !== ' ')) return '';
+
+  // Annotate every op with its position in both files
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    op.oldLine = oldLine;
+    op.newLine = newLine;
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  }
+
+  const hunks = [];
+  let current = null;
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length - 1, index + context);
+    if (current && start <= current.end + 1) {
+      current.end = Math.max(current.end, end);
+    } else {
+      current = { start, end };
+      hunks.push(current);
+    }
+  });
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const hunk of hunks) {
+    const hunkOps = ops.slice(hunk.start, hunk.end + 1);
+    const oldCount = hunkOps.filter(op => op.type !== '+').length;
+    const newCount = hunkOps.filter(op => op.type !== '-').length;
+    const oldStart = oldCount === 0 ? hunkOps[0].oldLine - 1 : hunkOps.find(op => op.type !== '+').oldLine;
+    const newStart = newCount === 0 ? hunkOps[0].newLine - 1 : hunkOps.find(op => op.type !== '-').newLine;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of hunkOps) {
+      output.push(op.type + stripEol(op.line));
+      if (!op.line.endsWith('\n')) output.push(NO_NEWLINE_MARKER);
+    }
+  }
+  return output.join('\n') + '\n';
+}
+
+function parseHunks(patch) {
+  const hunks = [];
+  let current = null;
+  for (const rawLine of patch.split('\n')) {
+    const line = rawLine.replace(/\r$/, '');
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      current = {
+        oldStart: parseInt(header[1], 10),
+        oldCount: header[2] === undefined ? 1 : parseInt(header[2], 10),
+        lines: []
+      };
+      hunks.push(current);
+      continue;
+    }
+    if (!current) continue;
+    if (line.startsWith('\\')) {
+      if (current.lines.length > 0) current.lines[current.lines.length - 1].noNewline = true;
+      continue;
+    }
+    const type = line[0];
+    if (type === ' ' || type === '-' || type === '+') {
+      current.lines.push({ type, text: line.slice(1), noNewline: false });
+    } else if (line === '') {
+      // Editors and models often drop the space on blank context lines
+      current.lines.push({ type: ' ', text: '', noNewline: false });
+    } else if (line.startsWith('--- ') || line.startsWith('+++ ') || line.startsWith('diff ')) {
+      current = null;
+    }
+  }
+  // A trailing blank "context" line is just the newline ending the patch
+  for (const hunk of hunks) {
+    const last = hunk.lines[hunk.lines.length - 1];
+    const expected = hunk.lines.filter(l => l.type !== '+').length;
+    if (last && last.type === ' ' && last.text === '' && expected > hunk.oldCount) hunk.lines.pop();
+  }
+  return hunks;
+}
+
+function blockMatchesAt(lines, block, position) {
+  if (position < 0 || position + block.length > lines.length) return false;
+  return block.every((text, index) => stripEol(lines[position + index]) === text);
+}
+
+/**
+ * Apply a unified diff to a text
+ * Hunks are located at their stated line first and then searched for nearby,
+ * so patches with slightly stale line numbers still apply
+ * @param {string} text - Original content
+ * @param {string} patch - Unified diff
+ * @returns {string} Patched content
+ */
+export function applyUnifiedDiff(text, patch) {
+  const hunks = parseHunks(patch);
+  if (hunks.length === 0) throw new Error('Patch contains no hunks');
+
+  const lines = splitLines(text);
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  let delta = 0;
+
+  hunks.forEach((hunk, hunkIndex) => {
+    const oldBlock = hunk.lines.filter(l => l.type !== '+').map(l => l.text);
+    const expected = (hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart - 1) + delta;
+
+    let position = -1;
+    if (oldBlock.length === 0) {
+      position = Math.min(Math.max(expected, 0), lines.length);
+    } else {
+      for (let distance = 0; distance <= lines.length; distance++) {
+        if (blockMatchesAt(lines, oldBlock, expected - distance)) {
+          position = expected - distance;
+          break;
+        }
+        if (distance > 0 && blockMatchesAt(lines, oldBlock, expected + distance)) {
+          position = expected + distance;
+          break;
+        }
+      }
+    }
+    if (position === -1) {
+      throw new Error(`Hunk ${hunkIndex + 1} (@@ -${hunk.oldStart},${hunk.oldCount}) does not match the file`);
+    }
+
+    const atEnd = position + oldBlock.length === lines.length;
+    const replacement = hunk.lines
+      .filter(l => l.type !== '-')
+      .map(l => l.text + (l.noNewline ? '' : eol));
+    // Hand-written patches often omit the "\ No newline" marker: a trailing context
+    // line that is also the file's unterminated last line stays unterminated
+    const lastHunkLine = hunk.lines[hunk.lines.length - 1];
+    if (atEnd && oldBlock.length > 0 && lastHunkLine.type === ' ' && !lines[lines.length - 1].endsWith('\n')) {
+      replacement[replacement.length - 1] = stripEol(replacement[replacement.length - 1]);
+    }
+    if (position > 0 && position === lines.length && !lines[position - 1].endsWith('\n')) {
+      lines[position - 1] += eol;
+    }
+
+    lines.splice(position, oldBlock.length, ...replacement);
+    delta += replacement.length - oldBlock.length;
+  });
+
+  return lines.join('');
+}
@@ -0,0 +1,108 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Directory entry details for the filesystem plugin
+ * Entries are described with lstat so symlinks are reported as links and a
+ * broken link never fails a listing
+ */
+
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+
+const accountNames = {};
+
+// uid/gid to name from /etc/passwd or /etc/group; empty on systems without them
+function loadAccountNames(file) {
+  if (!accountNames[file]) {
+    const names = new Map();
+    try {
+      for (const line of readFileSync(file, 'utf-8').split('\n')) {
+        const fields = line.split(':');
+        if (fields.length >= 3 && !line.startsWith('#')) names.set(Number(fields[2]), fields[0]);
+      }
+    } catch (error) {
+      // Owner names are best effort
+    }
+    accountNames[file] = names;
+  }
+  return accountNames[file];
+}
+
+export function entryType(stats) {
+  if (stats.isSymbolicLink()) return 'symlink';
+  if (stats.isDirectory()) return 'directory';
+  if (stats.isFile()) return 'file';
+  if (stats.isFIFO()) return 'fifo';
+  if (stats.isSocket()) return 'socket';
+  if (stats.isBlockDevice()) return 'block_device';
+  if (stats.isCharacterDevice()) return 'character_device';
+  return 'other';
+}
+
+// ls-style permission string such as "drwxr-xr-x" or "-rwsr-xr-t"
+export function formatMode(stats) {
+  const typeChars = { symlink: 'l', directory: 'd', fifo: 'p', socket: 's', block_device: 'b', character_device: 'c' };
+  const mode = stats.mode;
+  const triplet = (shift, special, specialChar) => {
+    const execute = mode & (1 << shift);
+    let exec = execute ? 'x' : '-';
+    if (mode & special) exec = execute ? specialChar : specialChar.toUpperCase();
+    return (mode & (4 << shift) ? 'r' : '-') + (mode & (2 << shift) ? 'w' : '-') + exec;
+  };
+  return (typeChars[entryType(stats)] || '-') +
+    triplet(6, 0o4000, 's') +
+    triplet(3, 0o2000, 's') +
+    triplet(0, 0o1000, 't');
+}
+
+/**
+ * Describe one directory entry without following symlinks
+ * @param {string} fullPath - Path of the entry
+ * @param {string} name - Name reported for the entry
+ * @returns {Promise<Object>} Entry details, or { name, error } if the entry can't be read
+ */
+export async function describeEntry(fullPath, name) {
+  let stats;
+  try {
+    stats = await fs.lstat(fullPath);
+  } catch (error) {
+    return { name: name, error: error.message };
+  }
+
+  const entry = {
+    name: name,
+    type: entryType(stats),
+    size: stats.size,
+    modified: stats.mtime,
+    permissions: formatMode(stats),
+    mode: (stats.mode & 0o7777).toString(8).padStart(4, '0'),
+    uid: stats.uid,
+    owner: loadAccountNames('/etc/passwd').get(stats.uid) || null,
+    gid: stats.gid,
+    group: loadAccountNames('/etc/group').get(stats.gid) || null
+  };
+
+  if (entry.type === 'symlink') {
+    try {
+      entry.link_target = await fs.readlink(fullPath);
+    } catch (error) {
+      entry.link_target = null;
+    }
+    try {
+      entry.target_type = entryType(await fs.stat(fullPath));
+      entry.broken = false;
+    } catch (error) {
+      entry.target_type = null;
+      entry.broken = true;
+    }
+  }
+
+  return entry;
+}
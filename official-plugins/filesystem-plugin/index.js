@@ -14,19 +14,46 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { checkPath, sandboxRefusal } from '../shared/sandbox.js';
+import { isBinaryFile, readBytes, scanLines, encodeBuffer } from './reader.js';
+import { createUnifiedDiff, applyUnifiedDiff, splitLines } from './diff.js';
+import { describeEntry } from './entries.js';
+import { walkDirectory, createPathMatcher } from './walk.js';
 
 // ============ Tool 1: Read File ============
 const readFileDefinition = {
   type: "function",
   function: {
     name: "read_file",
-    description: "Read the contents of a file from the filesystem",
+    description: "Read the contents of a file from the filesystem. Large files can be paged by lines or bytes using offset/limit and next_offset; binary files are returned base64 or hex encoded.",
     parameters: {
       type: "object",
       properties: {
         file_path: {
           type: "string",
           description: "The absolute or relative path to the file to read"
+        },
+        unit: {
+          type: "string",
+          enum: ["lines", "bytes"],
+          description: "Unit for offset and limit (default: lines; binary files are always read by bytes)"
+        },
+        offset: {
+          type: "number",
+          description: "Number of lines or bytes to skip before reading (default: 0)"
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of lines or bytes to read (default: to the end of the file)"
+        },
+        max_bytes: {
+          type: "number",
+          description: "Maximum bytes of file content to return; longer reads are cut and flagged as truncated (default: 262144)"
+        },
+        encoding: {
+          type: "string",
+          enum: ["auto", "utf-8", "latin1", "hex", "base64"],
+          description: "Content encoding (default: auto, which uses utf-8 for text and base64 for binary files)"
         }
       },
       required: ["file_path"]
@@ -36,17 +63,71 @@ const readFileDefinition = {
 
 async function readFileHandler(args) {
   try {
-    const { file_path } = args;
-    const absolutePath = path.resolve(file_path);
-    const content = await fs.readFile(absolutePath, "utf-8");
-    const stats = await fs.stat(absolutePath);
-    return JSON.stringify({
+    const { file_path, offset = 0, limit = null, max_bytes = 262144, encoding = "auto" } = args;
+    const check = await checkPath(file_path, 'read');
+    if (!check.allowed) {
+      return JSON.stringify(sandboxRefusal(check, file_path));
+    }
+    const absolutePath = check.path;
+    const stats = await fs.stat(check.realPath);
+    if (stats.isDirectory()) {
+      return JSON.stringify({
+        success: false,
+        error: "Path is a directory; use list_directory instead",
+        path: absolutePath
+      });
+    }
+
+    const isBinary = await isBinaryFile(check.realPath);
+    const outputEncoding = encoding === "auto" ? (isBinary ? "base64" : "utf-8") : encoding;
+    // Lines mean nothing in binary data, so binary files are always paged by bytes
+    const unit = isBinary ? "bytes" : (args.unit || "lines");
+
+    let startByte;
+    let endByte;
+    let totalLines = null;
+    if (unit === "lines") {
+      const scan = await scanLines(check.realPath, offset, limit);
+      totalLines = scan.totalLines;
+      startByte = scan.startByte;
+      endByte = scan.endByte;
+    } else {
+      startByte = Math.min(offset, stats.size);
+      endByte = limit === null ? stats.size : Math.min(stats.size, startByte + limit);
+    }
+
+    let buffer = await readBytes(check.realPath, startByte, Math.min(endByte - startByte, max_bytes));
+    const truncated = endByte - startByte > max_bytes;
+    if (truncated && unit === "lines") {
+      // Keep whole lines unless a single line is already larger than the cap
+      const lastNewline = buffer.lastIndexOf(10);
+      if (lastNewline !== -1) buffer = buffer.subarray(0, lastNewline + 1);
+    }
+
+    const result = {
       success: true,
-      content: content,
+      content: encodeBuffer(buffer, outputEncoding),
       path: absolutePath,
       size: stats.size,
-      modified: stats.mtime
-    });
+      modified: stats.mtime,
+      is_binary: isBinary,
+      encoding: outputEncoding,
+      unit: unit,
+      offset: offset,
+      truncated: truncated
+    };
+
+    if (unit === "lines") {
+      const returnedLines = buffer.length === 0 ? 0 : buffer.toString('latin1').split('\n').length - (buffer[buffer.length - 1] === 10 ? 1 : 0);
+      result.total_lines = totalLines;
+      result.lines_returned = returnedLines;
+      result.next_offset = offset + returnedLines < totalLines ? offset + returnedLines : null;
+    } else {
+      result.bytes_returned = buffer.length;
+      result.next_offset = startByte + buffer.length < stats.size ? startByte + buffer.length : null;
+    }
+
+    return JSON.stringify(result);
   } catch (error) {
     return JSON.stringify({
       success: false,
@@ -56,12 +137,31 @@ async function readFileHandler(args) {
   }
 }
 
+// Copies a file to "<file>.bak" before it is changed; the backup path must also pass the sandbox
+async function backupFile(check) {
+  const backupCheck = await checkPath(`${check.path}.bak`, 'write');
+  if (!backupCheck.allowed) {
+    throw new Error(`Backup refused: ${backupCheck.error}`);
+  }
+  await fs.copyFile(check.realPath, backupCheck.realPath);
+  return backupCheck.path;
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
 // ============ Tool 2: Write File ============
 const writeFileDefinition = {
   type: "function",
   function: {
     name: "write_file",
-    description: "Write content to a file. Creates the file if it doesn't exist, overwrites if it does.",
+    description: "Write content to a file. By default creates the file if it doesn't exist and overwrites it if it does; can also append or refuse to touch existing files.",
     parameters: {
       type: "object",
       properties: {
@@ -72,6 +172,15 @@ const writeFileDefinition = {
         content: {
           type: "string",
           description: "The content to write to the file"
+        },
+        mode: {
+          type: "string",
+          enum: ["overwrite", "append", "create_only"],
+          description: "overwrite replaces the file, append adds to the end, create_only fails if the file already exists (default: overwrite)"
+        },
+        backup: {
+          type: "boolean",
+          description: "Copy an existing file to <file>.bak before changing it (default: false)"
         }
       },
       required: ["file_path", "content"]
@@ -81,16 +190,232 @@ const writeFileDefinition = {
 
 async function writeFileHandler(args) {
   try {
-    const { file_path, content } = args;
-    const absolutePath = path.resolve(file_path);
-    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
-    await fs.writeFile(absolutePath, content, "utf-8");
-    const stats = await fs.stat(absolutePath);
-    return JSON.stringify({
+    const { file_path, content, mode = "overwrite", backup = false } = args;
+    if (!["overwrite", "append", "create_only"].includes(mode)) {
+      return JSON.stringify({
+        success: false,
+        error: `Invalid mode: ${mode}`,
+        path: file_path
+      });
+    }
+    const check = await checkPath(file_path, 'write');
+    if (!check.allowed) {
+      return JSON.stringify(sandboxRefusal(check, file_path));
+    }
+    const absolutePath = check.path;
+    await fs.mkdir(path.dirname(check.realPath), { recursive: true });
+
+    const existed = await fileExists(check.realPath);
+    if (mode === "create_only" && existed) {
+      return JSON.stringify({
+        success: false,
+        error: "File already exists",
+        path: absolutePath
+      });
+    }
+    const backupPath = backup && existed ? await backupFile(check) : null;
+
+    if (mode === "append") {
+      await fs.appendFile(check.realPath, content, "utf-8");
+    } else {
+      // "wx" keeps create_only safe against a file appearing after the existence check
+      await fs.writeFile(check.realPath, content, { encoding: "utf-8", flag: mode === "create_only" ? "wx" : "w" });
+    }
+    const stats = await fs.stat(check.realPath);
+    const result = {
       success: true,
       path: absolutePath,
-      bytes_written: stats.size
+      mode: mode,
+      created: !existed,
+      bytes_written: Buffer.byteLength(content, "utf-8"),
+      size: stats.size
+    };
+    if (backupPath) result.backup_path = backupPath;
+    return JSON.stringify(result);
+  } catch (error) {
+    return JSON.stringify({
+      success: false,
+      error: error.code === "EEXIST" ? "File already exists" : error.message,
+      path: args.file_path
     });
+  }
+}
+
+// ============ Tool 3: Edit File ============
+const editFileDefinition = {
+  type: "function",
+  function: {
+    name: "edit_file",
+    description: "Edit an existing text file in place without rewriting it. Use exactly one of: old_string/new_string (exact text replacement), start_line/end_line/new_content (replace a line range), or patch (apply a unified diff). Returns a unified diff of the change.",
+    parameters: {
+      type: "object",
+      properties: {
+        file_path: {
+          type: "string",
+          description: "The absolute or relative path to the file to edit"
+        },
+        old_string: {
+          type: "string",
+          description: "Exact text to replace. Must occur exactly once unless replace_all is set; include surrounding lines to make it unique"
+        },
+        new_string: {
+          type: "string",
+          description: "Replacement text for old_string"
+        },
+        replace_all: {
+          type: "boolean",
+          description: "Replace every occurrence of old_string (default: false)"
+        },
+        start_line: {
+          type: "number",
+          description: "First line (1-based) of the range to replace"
+        },
+        end_line: {
+          type: "number",
+          description: "Last line (1-based, inclusive) of the range to replace (default: start_line). Use start_line - 1 to insert before start_line without removing anything"
+        },
+        new_content: {
+          type: "string",
+          description: "Text that replaces the line range; an empty string deletes the lines"
+        },
+        patch: {
+          type: "string",
+          description: "Unified diff to apply to the file (hunks starting with @@ -a,b +c,d @@)"
+        },
+        backup: {
+          type: "boolean",
+          description: "Copy the file to <file>.bak before changing it (default: false)"
+        },
+        dry_run: {
+          type: "boolean",
+          description: "Report the diff without writing the file (default: false)"
+        }
+      },
+      required: ["file_path"]
+    }
+  }
+};
+
+function countOccurrences(text, search) {
+  let count = 0;
+  let index = text.indexOf(search);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(search, index + search.length);
+  }
+  return count;
+}
+
+function replaceString(original, args) {
+  const { old_string, new_string = "", replace_all = false } = args;
+  if (old_string === "") {
+    throw new Error("old_string must not be empty");
+  }
+  const occurrences = countOccurrences(original, old_string);
+  if (occurrences === 0) {
+    throw new Error("old_string was not found in the file");
+  }
+  if (occurrences > 1 && !replace_all) {
+    throw new Error(`old_string occurs ${occurrences} times; include more surrounding text to make it unique or set replace_all`);
+  }
+  return {
+    content: replace_all ? original.split(old_string).join(new_string) : original.replace(old_string, () => new_string),
+    replacements: replace_all ? occurrences : 1
+  };
+}
+
+function replaceLines(original, args) {
+  const { start_line, new_content = "" } = args;
+  const end_line = args.end_line === undefined ? start_line : args.end_line;
+  const lines = splitLines(original);
+  if (!Number.isInteger(start_line) || start_line < 1 || start_line > lines.length + 1) {
+    throw new Error(`start_line must be between 1 and ${lines.length + 1}`);
+  }
+  if (!Number.isInteger(end_line) || end_line < start_line - 1 || end_line > lines.length) {
+    throw new Error(`end_line must be between ${start_line - 1} and ${lines.length}`);
+  }
+
+  const eol = original.includes('\r\n') ? '\r\n' : '\n';
+  const before = lines.slice(0, start_line - 1);
+  const after = lines.slice(end_line);
+  let replacement = new_content;
+  // The new text takes the place of whole lines, so it needs a line ending unless it ends the file
+  if (replacement !== "" && !replacement.endsWith('\n') && (after.length > 0 || lines[end_line - 1]?.endsWith('\n'))) {
+    replacement += eol;
+  }
+  if (before.length > 0 && !before[before.length - 1].endsWith('\n') && replacement !== "") {
+    before[before.length - 1] += eol;
+  }
+  return {
+    content: before.join('') + replacement + after.join(''),
+    lines_replaced: end_line - start_line + 1
+  };
+}
+
+async function editFileHandler(args) {
+  try {
+    const { file_path, backup = false, dry_run = false } = args;
+    const modes = ["old_string", "start_line", "patch"].filter(key => args[key] !== undefined);
+    if (modes.length !== 1) {
+      return JSON.stringify({
+        success: false,
+        error: "Provide exactly one of old_string, start_line or patch",
+        path: file_path
+      });
+    }
+
+    const check = await checkPath(file_path, 'write');
+    if (!check.allowed) {
+      return JSON.stringify(sandboxRefusal(check, file_path));
+    }
+    const absolutePath = check.path;
+    if (await isBinaryFile(check.realPath)) {
+      return JSON.stringify({
+        success: false,
+        error: "edit_file only edits text files",
+        path: absolutePath
+      });
+    }
+    const original = await fs.readFile(check.realPath, "utf-8");
+
+    let edit;
+    try {
+      if (modes[0] === "old_string") {
+        edit = replaceString(original, args);
+      } else if (modes[0] === "start_line") {
+        edit = replaceLines(original, args);
+      } else {
+        edit = { content: applyUnifiedDiff(original, args.patch) };
+      }
+    } catch (error) {
+      return JSON.stringify({
+        success: false,
+        error: error.message,
+        path: absolutePath
+      });
+    }
+
+    const relativeName = path.relative(check.root, absolutePath) || path.basename(absolutePath);
+    const diff = createUnifiedDiff(original, edit.content, { fromFile: `a/${relativeName}`, toFile: `b/${relativeName}` });
+    const diffLines = diff.split('\n');
+    const result = {
+      success: true,
+      path: absolutePath,
+      mode: modes[0] === "old_string" ? "replace" : modes[0] === "start_line" ? "lines" : "patch",
+      changed: diff !== "",
+      dry_run: dry_run,
+      diff: diff,
+      lines_added: diffLines.filter(line => line.startsWith('+') && !line.startsWith('+++')).length,
+      lines_removed: diffLines.filter(line => line.startsWith('-') && !line.startsWith('---')).length
+    };
+    if (edit.replacements !== undefined) result.replacements = edit.replacements;
+    if (edit.lines_replaced !== undefined) result.lines_replaced = edit.lines_replaced;
+
+    if (!dry_run && diff !== "") {
+      if (backup) result.backup_path = await backupFile(check);
+      await fs.writeFile(check.realPath, edit.content, "utf-8");
+    }
+    return JSON.stringify(result);
   } catch (error) {
     return JSON.stringify({
       success: false,
@@ -100,12 +425,12 @@ async function writeFileHandler(args) {
   }
 }
 
-// ============ Tool 3: List Directory ============
+// ============ Tool 4: List Directory ============
 const listDirectoryDefinition = {
   type: "function",
   function: {
     name: "list_directory",
-    description: "List contents of a directory with details",
+    description: "List contents of a directory with details: type, size, modification time, permissions, owner and group. Symlinks are reported with their target instead of being followed.",
     parameters: {
       type: "object",
       properties: {
@@ -122,19 +447,15 @@ const listDirectoryDefinition = {
 async function listDirectoryHandler(args) {
   try {
     const directoryPath = args.directory_path || ".";
-    const absolutePath = path.resolve(directoryPath);
-    const entries = await fs.readdir(absolutePath, { withFileTypes: true });
+    const check = await checkPath(directoryPath, 'read');
+    if (!check.allowed) {
+      return JSON.stringify(sandboxRefusal(check, directoryPath));
+    }
+    const absolutePath = check.path;
+    const names = (await fs.readdir(check.realPath)).sort();
+    // lstat per entry, so one broken symlink or unreadable entry doesn't fail the listing
     const details = await Promise.all(
-      entries.map(async (entry) => {
-        const fullPath = path.join(absolutePath, entry.name);
-        const stats = await fs.stat(fullPath);
-        return {
-          name: entry.name,
-          type: entry.isDirectory() ? "directory" : "file",
-          size: stats.size,
-          modified: stats.mtime
-        };
-      })
+      names.map(name => describeEntry(path.join(check.realPath, name), name))
     );
     return JSON.stringify({
       success: true,
@@ -150,7 +471,361 @@ async function listDirectoryHandler(args) {
   }
 }
 
-// ============ Tool 4: Get Current Working Directory ============
+// Accepts ISO dates or relative ages such as "30m", "24h" or "7d"
+function parseTimeFilter(value, name) {
+  if (value === undefined || value === null) return null;
+  const relative = String(value).match(/^(\d+)\s*([smhdw])$/);
+  if (relative) {
+    const units = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+    return Date.now() - parseInt(relative[1], 10) * units[relative[2]];
+  }
+  const time = Date.parse(value);
+  if (isNaN(time)) throw new Error(`Invalid ${name}: ${value}`);
+  return time;
+}
+
+// ============ Tool 5: Find Files ============
+const findFilesDefinition = {
+  type: "function",
+  function: {
+    name: "find_files",
+    description: "Recursively find files and directories by glob pattern, with depth, type, size and modification time filters. Skips .git and, by default, hidden and .gitignore'd entries.",
+    parameters: {
+      type: "object",
+      properties: {
+        directory_path: {
+          type: "string",
+          description: "Directory to search from (default: current directory)"
+        },
+        pattern: {
+          type: "string",
+          description: "Glob to match, e.g. \"*.js\" or \"src/**/*.{ts,tsx}\". Patterns with \"/\" match the path relative to directory_path, others match the name (default: everything)"
+        },
+        exclude: {
+          type: "array",
+          items: { type: "string" },
+          description: "Globs for entries to leave out, e.g. [\"node_modules\", \"*.min.js\"]; excluded directories are not descended into"
+        },
+        type: {
+          type: "string",
+          enum: ["file", "directory", "symlink", "any"],
+          description: "Entry type to return (default: file)"
+        },
+        max_depth: {
+          type: "number",
+          description: "Maximum directory depth; 1 means only direct children (default: unlimited)"
+        },
+        min_size: {
+          type: "number",
+          description: "Minimum file size in bytes"
+        },
+        max_size: {
+          type: "number",
+          description: "Maximum file size in bytes"
+        },
+        modified_after: {
+          type: "string",
+          description: "Only entries modified after this ISO date or relative age (e.g. \"24h\", \"7d\")"
+        },
+        modified_before: {
+          type: "string",
+          description: "Only entries modified before this ISO date or relative age"
+        },
+        include_hidden: {
+          type: "boolean",
+          description: "Include dotfiles and dot-directories (default: false)"
+        },
+        respect_gitignore: {
+          type: "boolean",
+          description: "Skip entries ignored by .gitignore files (default: true)"
+        },
+        ignore_case: {
+          type: "boolean",
+          description: "Match patterns case-insensitively (default: false)"
+        },
+        max_results: {
+          type: "number",
+          description: "Maximum number of entries to return (default: 1000)"
+        }
+      },
+      required: []
+    }
+  }
+};
+
+async function findFilesHandler(args) {
+  try {
+    const directoryPath = args.directory_path || ".";
+    const {
+      pattern = null,
+      exclude = [],
+      type = "file",
+      max_depth = Infinity,
+      min_size = null,
+      max_size = null,
+      include_hidden = false,
+      respect_gitignore = true,
+      ignore_case = false,
+      max_results = 1000
+    } = args;
+    const modifiedAfter = parseTimeFilter(args.modified_after, "modified_after");
+    const modifiedBefore = parseTimeFilter(args.modified_before, "modified_before");
+
+    const check = await checkPath(directoryPath, 'read');
+    if (!check.allowed) {
+      return JSON.stringify(sandboxRefusal(check, directoryPath));
+    }
+    const matches = createPathMatcher(pattern, { nocase: ignore_case });
+    const excluded = exclude.length > 0 ? createPathMatcher(exclude, { nocase: ignore_case }) : () => false;
+
+    const errors = [];
+    const results = [];
+    let truncated = false;
+    const walker = walkDirectory(check.realPath, {
+      maxDepth: max_depth,
+      includeHidden: include_hidden,
+      respectGitignore: respect_gitignore,
+      errors: errors,
+      skip: excluded
+    });
+    for await (const entry of walker) {
+      if (type !== "any" && entry.type !== type) continue;
+      if (!matches(entry)) continue;
+      const { size, mtimeMs, mtime } = entry.stats;
+      if (entry.type === "file" && min_size !== null && size < min_size) continue;
+      if (entry.type === "file" && max_size !== null && size > max_size) continue;
+      if (modifiedAfter !== null && mtimeMs <= modifiedAfter) continue;
+      if (modifiedBefore !== null && mtimeMs >= modifiedBefore) continue;
+
+      if (results.length >= max_results) {
+        truncated = true;
+        break;
+      }
+      results.push({
+        path: entry.relativePath,
+        type: entry.type,
+        size: size,
+        modified: mtime
+      });
+    }
+
+    const result = {
+      success: true,
+      path: check.path,
+      count: results.length,
+      truncated: truncated,
+      entries: results
+    };
+    if (errors.length > 0) result.errors = errors;
+    return JSON.stringify(result);
+  } catch (error) {
+    return JSON.stringify({
+      success: false,
+      error: error.message,
+      path: args.directory_path || "."
+    });
+  }
+}
+
+// ============ Tool 6: Search Files ============
+const searchFilesDefinition = {
+  type: "function",
+  function: {
+    name: "search_files",
+    description: "Search file contents recursively with a regular expression (like grep -rn). Returns matching lines with line/column numbers and optional context. Binary files, .git and, by default, hidden and .gitignore'd files are skipped.",
+    parameters: {
+      type: "object",
+      properties: {
+        pattern: {
+          type: "string",
+          description: "JavaScript regular expression to search for (or plain text with literal: true)"
+        },
+        directory_path: {
+          type: "string",
+          description: "Directory to search, or a single file (default: current directory)"
+        },
+        file_pattern: {
+          type: "string",
+          description: "Only search files matching this glob, e.g. \"*.js\" or \"src/**/*.php\""
+        },
+        exclude: {
+          type: "array",
+          items: { type: "string" },
+          description: "Globs for files or directories to skip, e.g. [\"node_modules\", \"*.min.js\"]"
+        },
+        literal: {
+          type: "boolean",
+          description: "Treat pattern as plain text instead of a regular expression (default: false)"
+        },
+        ignore_case: {
+          type: "boolean",
+          description: "Case-insensitive search (default: false)"
+        },
+        context_lines: {
+          type: "number",
+          description: "Lines of context to include before and after each match (default: 0)"
+        },
+        max_matches: {
+          type: "number",
+          description: "Stop after this many matching lines (default: 200)"
+        },
+        max_depth: {
+          type: "number",
+          description: "Maximum directory depth (default: unlimited)"
+        },
+        max_file_size: {
+          type: "number",
+          description: "Skip files larger than this many bytes (default: 10485760)"
+        },
+        include_hidden: {
+          type: "boolean",
+          description: "Search dotfiles and dot-directories (default: false)"
+        },
+        respect_gitignore: {
+          type: "boolean",
+          description: "Skip files ignored by .gitignore files (default: true)"
+        }
+      },
+      required: ["pattern"]
+    }
+  }
+};
+
+const MAX_MATCH_LINE_LENGTH = 500;
+
+// Very long lines (minified bundles) are cut to a window around the match
+function clipLine(line, column) {
+  if (line.length <= MAX_MATCH_LINE_LENGTH) return { text: line, clipped: false };
+  const start = Math.max(0, Math.min(column - 100, line.length - MAX_MATCH_LINE_LENGTH));
+  return { text: line.slice(start, start + MAX_MATCH_LINE_LENGTH), clipped: true };
+}
+
+async function searchFilesHandler(args) {
+  try {
+    const directoryPath = args.directory_path || ".";
+    const {
+      pattern,
+      file_pattern = null,
+      exclude = [],
+      literal = false,
+      ignore_case = false,
+      context_lines = 0,
+      max_matches = 200,
+      max_depth = Infinity,
+      max_file_size = 10485760,
+      include_hidden = false,
+      respect_gitignore = true
+    } = args;
+
+    let regExp;
+    try {
+      const source = literal ? pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : pattern;
+      regExp = new RegExp(source, ignore_case ? 'i' : '');
+    } catch (error) {
+      return JSON.stringify({
+        success: false,
+        error: error.message,
+        pattern: pattern
+      });
+    }
+
+    const check = await checkPath(directoryPath, 'read');
+    if (!check.allowed) {
+      return JSON.stringify(sandboxRefusal(check, directoryPath));
+    }
+
+    const errors = [];
+    let files;
+    const stats = await fs.stat(check.realPath);
+    if (stats.isDirectory()) {
+      const fileMatches = createPathMatcher(file_pattern);
+      const excluded = exclude.length > 0 ? createPathMatcher(exclude) : () => false;
+      files = (async function* () {
+        const walker = walkDirectory(check.realPath, {
+          maxDepth: max_depth,
+          includeHidden: include_hidden,
+          respectGitignore: respect_gitignore,
+          errors: errors,
+          skip: excluded
+        });
+        for await (const entry of walker) {
+          if (entry.type === "file" && fileMatches(entry)) yield entry;
+        }
+      })();
+    } else {
+      files = [{ path: check.realPath, relativePath: path.basename(check.realPath), stats: stats }];
+    }
+
+    const matches = [];
+    const skipped = { binary: 0, too_large: 0 };
+    let filesSearched = 0;
+    const filesMatched = new Set();
+    let truncated = false;
+
+    search:
+    for await (const file of files) {
+      if (file.stats.size > max_file_size) {
+        skipped.too_large++;
+        continue;
+      }
+      try {
+        if (await isBinaryFile(file.path)) {
+          skipped.binary++;
+          continue;
+        }
+        filesSearched++;
+        const lines = (await fs.readFile(file.path, "utf-8")).split(/\r?\n/);
+        if (lines[lines.length - 1] === "") lines.pop();
+        for (let index = 0; index < lines.length; index++) {
+          const column = lines[index].search(regExp);
+          if (column === -1) continue;
+          if (matches.length >= max_matches) {
+            truncated = true;
+            break search;
+          }
+          const { text, clipped } = clipLine(lines[index], column);
+          const match = {
+            file: file.relativePath,
+            line: index + 1,
+            column: column + 1,
+            text: text
+          };
+          if (clipped) match.text_clipped = true;
+          if (context_lines > 0) {
+            match.before = lines.slice(Math.max(0, index - context_lines), index).map(l => clipLine(l, 0).text);
+            match.after = lines.slice(index + 1, index + 1 + context_lines).map(l => clipLine(l, 0).text);
+          }
+          matches.push(match);
+          filesMatched.add(file.relativePath);
+        }
+      } catch (error) {
+        errors.push({ path: file.path, error: error.message });
+      }
+    }
+
+    const result = {
+      success: true,
+      path: check.path,
+      pattern: pattern,
+      match_count: matches.length,
+      files_searched: filesSearched,
+      files_matched: filesMatched.size,
+      files_skipped: skipped,
+      truncated: truncated,
+      matches: matches
+    };
+    if (errors.length > 0) result.errors = errors;
+    return JSON.stringify(result);
+  } catch (error) {
+    return JSON.stringify({
+      success: false,
+      error: error.message,
+      path: args.directory_path || "."
+    });
+  }
+}
+
+// ============ Tool 7: Get Current Working Directory ============
 const getCwdDefinition = {
   type: "function",
   function: {
@@ -175,7 +850,10 @@ function getCwdHandler(args) {
 export async function init(toolRegistry) {
   toolRegistry.register(readFileDefinition, readFileHandler);
   toolRegistry.register(writeFileDefinition, writeFileHandler);
+  toolRegistry.register(editFileDefinition, editFileHandler);
   toolRegistry.register(listDirectoryDefinition, listDirectoryHandler);
+  toolRegistry.register(findFilesDefinition, findFilesHandler);
+  toolRegistry.register(searchFilesDefinition, searchFilesHandler);
   toolRegistry.register(getCwdDefinition, getCwdHandler);
   
   console.log("   📁 Filesystem plugin initialized");
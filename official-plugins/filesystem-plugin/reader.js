@@ -0,0 +1,82 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Streaming file readers for the filesystem plugin
+ * Large files are never loaded whole: ranges are read by byte position and
+ * line counts come from a single streaming pass
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { isBinaryBuffer } from '../shared/binary.js';
+
+const BINARY_SAMPLE_BYTES = 8192;
+
+export async function readBytes(filePath, offset, length) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(Math.max(0, length));
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+export async function isBinaryFile(filePath) {
+  return isBinaryBuffer(await readBytes(filePath, 0, BINARY_SAMPLE_BYTES));
+}
+
+/**
+ * Stream a file once, counting its lines and locating a line range
+ * @param {string} filePath - File to scan
+ * @param {number} startLine - Number of lines to skip
+ * @param {number|null} lineCount - Number of lines wanted, or null for the rest of the file
+ * @returns {Promise<{totalLines: number, startByte: number, endByte: number}>}
+ */
+export function scanLines(filePath, startLine, lineCount) {
+  return new Promise((resolve, reject) => {
+    const endLine = lineCount === null ? Infinity : startLine + lineCount;
+    let newlines = 0;
+    let position = 0;
+    let startByte = startLine === 0 ? 0 : null;
+    let endByte = null;
+    let lastByte = null;
+
+    const stream = createReadStream(filePath);
+    stream.on('data', (chunk) => {
+      let index = chunk.indexOf(10);
+      while (index !== -1) {
+        newlines++;
+        if (newlines === startLine) startByte = position + index + 1;
+        if (newlines === endLine) endByte = position + index + 1;
+        index = chunk.indexOf(10, index + 1);
+      }
+      position += chunk.length;
+      lastByte = chunk[chunk.length - 1];
+    });
+    stream.on('error', reject);
+    stream.on('end', () => {
+      const totalLines = newlines + (position > 0 && lastByte !== 10 ? 1 : 0);
+      resolve({
+        totalLines: totalLines,
+        startByte: startByte === null ? position : startByte,
+        endByte: endByte === null ? position : endByte
+      });
+    });
+  });
+}
+
+export function encodeBuffer(buffer, encoding) {
+  if (encoding === 'hex' || encoding === 'base64' || encoding === 'latin1') {
+    return buffer.toString(encoding);
+  }
+  return buffer.toString('utf-8');
+}
@@ -0,0 +1,164 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Recursive directory walking for find_files and search_files
+ * Symlinks are reported but never followed, .git is always skipped, and
+ * .gitignore files (including those above the starting directory, up to the
+ * repository root) are honoured when asked
+ */
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { globToRegExp } from '../shared/glob.js';
+import { findDeniedRule } from '../shared/sandbox.js';
+
+function parseGitignore(content, baseDir) {
+  const rules = [];
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (line === '' || line.startsWith('#')) continue;
+
+    const negated = line.startsWith('!');
+    if (negated) line = line.slice(1);
+    if (line.startsWith('\\')) line = line.slice(1);
+    const directoryOnly = line.endsWith('/');
+    if (directoryOnly) line = line.slice(0, -1);
+    if (line === '') continue;
+
+    // A slash anywhere but the end anchors the pattern to the .gitignore's directory
+    const anchored = line.includes('/');
+    const pattern = anchored ? line.replace(/^\//, '') : `**/${line}`;
+    try {
+      rules.push({ baseDir, negated, directoryOnly, regExp: globToRegExp(pattern) });
+    } catch (error) {
+      // Skip patterns that don't translate to a valid expression
+    }
+  }
+  return rules;
+}
+
+async function readGitignore(directory) {
+  try {
+    return parseGitignore(await fs.readFile(path.join(directory, '.gitignore'), 'utf-8'), directory);
+  } catch (error) {
+    return [];
+  }
+}
+
+// .gitignore rules from the repository root down to (but excluding) the starting directory
+async function ancestorGitignoreRules(startDirectory) {
+  if (existsSync(path.join(startDirectory, '.git'))) return [];
+  const chain = [];
+  let current = startDirectory;
+  while (true) {
+    const parent = path.dirname(current);
+    // Reached the filesystem root without finding a repository
+    if (parent === current) return [];
+    chain.unshift(parent);
+    if (existsSync(path.join(parent, '.git'))) break;
+    current = parent;
+  }
+
+  const rules = [];
+  for (const directory of chain) rules.push(...(await readGitignore(directory)));
+  return rules;
+}
+
+function isIgnored(rules, fullPath, isDirectory) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) continue;
+    const relative = path.relative(rule.baseDir, fullPath).split(path.sep).join('/');
+    if (relative.startsWith('..')) continue;
+    if (rule.regExp.test(relative)) ignored = !rule.negated;
+  }
+  return ignored;
+}
+
+/**
+ * Walk a directory tree depth-first in name order
+ * @param {string} rootPath - Real path of the starting directory (already sandbox-checked)
+ * @param {Object} options - maxDepth, includeHidden, respectGitignore, skip (predicate for entries
+ *   to leave out and not descend into), errors (array that collects unreadable paths)
+ * @yields {{path: string, relativePath: string, name: string, depth: number, type: string, stats: fs.Stats}}
+ */
+export async function* walkDirectory(rootPath, { maxDepth = Infinity, includeHidden = false, respectGitignore = true, skip = null, errors = [] } = {}) {
+  const initialRules = respectGitignore
+    ? [...(await ancestorGitignoreRules(rootPath)), ...(await readGitignore(rootPath))]
+    : [];
+  const stack = [{ directory: rootPath, depth: 1, rules: initialRules }];
+
+  while (stack.length > 0) {
+    const { directory, depth, rules } = stack.pop();
+    let names;
+    try {
+      names = (await fs.readdir(directory)).sort();
+    } catch (error) {
+      errors.push({ path: directory, error: error.message });
+      continue;
+    }
+
+    const subdirectories = [];
+    for (const name of names) {
+      if (name === '.git') continue;
+      if (!includeHidden && name.startsWith('.')) continue;
+      const fullPath = path.join(directory, name);
+      if (findDeniedRule(fullPath)) continue;
+
+      let stats;
+      try {
+        stats = await fs.lstat(fullPath);
+      } catch (error) {
+        errors.push({ path: fullPath, error: error.message });
+        continue;
+      }
+      const isDirectory = stats.isDirectory();
+      if (respectGitignore && isIgnored(rules, fullPath, isDirectory)) continue;
+
+      const entry = {
+        path: fullPath,
+        relativePath: path.relative(rootPath, fullPath).split(path.sep).join('/'),
+        name: name,
+        depth: depth,
+        type: stats.isSymbolicLink() ? 'symlink' : isDirectory ? 'directory' : stats.isFile() ? 'file' : 'other',
+        stats: stats
+      };
+      if (skip && skip(entry)) continue;
+      yield entry;
+
+      if (isDirectory && depth < maxDepth) subdirectories.push(fullPath);
+    }
+
+    // Pushed in reverse so the stack pops them in name order
+    for (const subdirectory of subdirectories.reverse()) {
+      const childRules = respectGitignore ? [...rules, ...(await readGitignore(subdirectory))] : rules;
+      stack.push({ directory: subdirectory, depth: depth + 1, rules: childRules });
+    }
+  }
+}
+
+/**
+ * Build a matcher for find/search name patterns
+ * Patterns containing "/" match the path relative to the search root,
+ * others match just the entry name
+ * @param {string|string[]} patterns - Glob or globs; empty matches everything
+ * @param {Object} options - nocase
+ * @returns {function({relativePath: string, name: string}): boolean}
+ */
+export function createPathMatcher(patterns, { nocase = false } = {}) {
+  const list = (Array.isArray(patterns) ? patterns : [patterns]).filter(Boolean);
+  const compiled = list.map(pattern => ({
+    byPath: pattern.includes('/'),
+    regExp: globToRegExp(pattern.replace(/^\.\//, ''), { nocase })
+  }));
+  return (entry) => compiled.length === 0 ||
+    compiled.some(p => p.regExp.test(p.byPath ? entry.relativePath : entry.name));
+}
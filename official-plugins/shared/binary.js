@@ -0,0 +1,24 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Binary detection for file contents and response bodies
+ */
+
+// A NUL byte or a high share of control characters marks data as binary
+export function isBinaryBuffer(buffer) {
+  if (buffer.length === 0) return false;
+  let control = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    const byte = buffer[i];
+    if (byte === 0) return true;
+    if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 13 && byte !== 12 && byte !== 8 && byte !== 27) control++;
+  }
+  return control / buffer.length > 0.3;
+}
@@ -0,0 +1,131 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Minimal glob matching for the filesystem plugin and the path sandbox
+ * Supports *, **, ?, [abc], [!abc] and {a,b} against "/"-separated paths
+ */
+
+import os from 'os';
+import path from 'path';
+
+export function expandHome(pattern) {
+  if (pattern === '~') return os.homedir();
+  if (pattern.startsWith('~/')) return path.join(os.homedir(), pattern.slice(2));
+  return pattern;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+// Splits the inside of a {...} group on top-level commas
+function splitAlternatives(body) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of body) {
+    if (ch === '{') depth++;
+    if (ch === '}') depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function translate(pattern) {
+  let source = '';
+  let i = 0;
+  while (i < pattern.length) {
+    const ch = pattern[i];
+
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        const atSegmentStart = i === 0 || pattern[i - 1] === '/';
+        const followedBySlash = pattern[i + 2] === '/';
+        if (atSegmentStart && followedBySlash) {
+          // "**/" matches zero or more whole directories
+          source += '(?:[^/]*/)*';
+          i += 3;
+          continue;
+        }
+        source += '.*';
+        i += 2;
+        continue;
+      }
+      source += '[^/]*';
+      i++;
+      continue;
+    }
+
+    if (ch === '?') {
+      source += '[^/]';
+      i++;
+      continue;
+    }
+
+    if (ch === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end !== -1) {
+        let body = pattern.slice(i + 1, end);
+        if (body.startsWith('!')) body = `^${body.slice(1)}`;
+        source += `[${body.replace(/\\/g, '\\\\')}]`;
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (ch === '{') {
+      let depth = 0;
+      let end = -1;
+      for (let j = i; j < pattern.length; j++) {
+        if (pattern[j] === '{') depth++;
+        if (pattern[j] === '}' && --depth === 0) {
+          end = j;
+          break;
+        }
+      }
+      if (end !== -1) {
+        const alternatives = splitAlternatives(pattern.slice(i + 1, end)).map(translate);
+        source += `(?:${alternatives.join('|')})`;
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (ch === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[i + 1]);
+      i += 2;
+      continue;
+    }
+
+    source += escapeRegExp(ch);
+    i++;
+  }
+  return source;
+}
+
+/**
+ * Compile a glob into an anchored regular expression
+ * @param {string} pattern - Glob such as "~/.ssh/**" or "src/**\/*.{js,ts}"
+ * @param {Object} options - nocase: match case-insensitively
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern, { nocase = false } = {}) {
+  return new RegExp(`^${translate(expandHome(pattern))}$`, nocase ? 'i' : '');
+}
+
+export function hasGlobCharacters(pattern) {
+  return /[*?[{]/.test(pattern);
+}
@@ -0,0 +1,110 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Low-level metrics for HTTP responses
+ * Phase timings come from the request's socket events and use the
+ * high-resolution clock, so differences of a few milliseconds (blind
+ * injection, race windows) are measurable. Raw headers keep the server's
+ * order and casing, which fingerprinting depends on.
+ */
+
+import { performance } from 'perf_hooks';
+
+function duration(from, to) {
+  if (from === undefined || to === undefined) return null;
+  return Math.round((to - from) * 100) / 100;
+}
+
+/**
+ * Start timing a request
+ * Call attach() with the ClientRequest right after creating it, mark('end')
+ * once the body has been read, then read the phases with result()
+ * @returns {{attach: Function, mark: Function, result: Function}}
+ */
+export function createRequestTimer() {
+  const marks = { start: performance.now() };
+  const mark = (name) => {
+    if (marks[name] === undefined) marks[name] = performance.now();
+  };
+  let socketReused = false;
+  const connection = { remote_address: null, remote_port: null, local_port: null };
+  // Read as early as possible: a socket the server has already closed no longer reports its peer
+  const capturePeer = (socket) => {
+    if (connection.remote_address || !socket.remoteAddress) return;
+    connection.remote_address = socket.remoteAddress;
+    connection.remote_port = socket.remotePort || null;
+    connection.local_port = socket.localPort || null;
+  };
+
+  return {
+    mark: mark,
+
+    attach(req) {
+      req.once('socket', (assigned) => {
+        mark('socket');
+        // A kept-alive socket (or a proxy tunnel that is already up) has no connect phase to time
+        socketReused = Boolean(req.reusedSocket);
+        capturePeer(assigned);
+        const onLookup = () => mark('lookup');
+        const onConnect = () => {
+          mark('connect');
+          capturePeer(assigned);
+        };
+        const onSecure = () => mark('secure');
+        assigned.once('lookup', onLookup);
+        assigned.once('connect', onConnect);
+        assigned.once('secureConnect', onSecure);
+        // Kept-alive sockets outlive the request and never emit these again
+        req.once('close', () => {
+          assigned.off('lookup', onLookup);
+          assigned.off('connect', onConnect);
+          assigned.off('secureConnect', onSecure);
+        });
+      });
+      req.once('finish', () => mark('sent'));
+      req.once('response', (res) => {
+        mark('first_byte');
+        capturePeer(res.socket);
+      });
+    },
+
+    result() {
+      const connectedAt = marks.connect;
+      // A request written before the handshake finishes is only queued, so sending ends no earlier than the handshake
+      const sentAt = marks.sent === undefined ? undefined : Math.max(marks.sent, marks.secure || connectedAt || marks.sent);
+      const timing = {
+        dns_ms: marks.lookup !== undefined ? duration(marks.socket, marks.lookup) : null,
+        connect_ms: connectedAt !== undefined ? duration(marks.lookup !== undefined ? marks.lookup : marks.socket, connectedAt) : null,
+        tls_ms: marks.secure !== undefined ? duration(connectedAt !== undefined ? connectedAt : marks.socket, marks.secure) : null,
+        // Time to first byte counts from the moment the request was fully sent, so it is the server's think time
+        ttfb_ms: duration(sentAt, marks.first_byte),
+        download_ms: duration(marks.first_byte, marks.end),
+        total_ms: duration(marks.start, marks.end !== undefined ? marks.end : performance.now()),
+        socket_reused: socketReused
+      };
+      // Tunnels through CONNECT or SOCKS5 are opened before the request gets its socket
+      if (marks.tunnel !== undefined) timing.proxy_tunnel_ms = duration(marks.start, marks.tunnel);
+      return { timing, connection: { ...connection } };
+    }
+  };
+}
+
+/**
+ * Response headers in the order and casing the server sent them
+ * @param {string[]} rawHeaders - IncomingMessage.rawHeaders (name, value, name, value, ...)
+ * @returns {{name: string, value: string}[]}
+ */
+export function rawHeaderList(rawHeaders) {
+  const headers = [];
+  for (let i = 0; i + 1 < rawHeaders.length; i += 2) {
+    headers.push({ name: rawHeaders[i], value: rawHeaders[i + 1] });
+  }
+  return headers;
+}
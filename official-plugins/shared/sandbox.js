@@ -0,0 +1,230 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Path sandbox for every tool that reads or writes files
+ *
+ * Every path is resolved through realpath (the nearest existing ancestor for
+ * paths that don't exist yet) and must land inside a workspace root. Roots are
+ * read from the file named by CORTEXAI_FS_POLICY, falling back to
+ * ~/.cortexai/filesystem-policy.json. Without a policy file the current working
+ * directory is the only (read-write) root.
+ *
+ * {
+ *   "roots": [
+ *     { "path": "~/engagements/acme", "mode": "rw" },
+ *     { "path": "/usr/share/wordlists", "mode": "ro" }
+ *   ],
+ *   "deny": ["**\/id_rsa*"],
+ *   "use_builtin_deny": true
+ * }
+ *
+ * A path is denied when it, or any directory above it, matches a deny glob.
+ */
+
+import fs from 'fs/promises';
+import { statSync, readFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { expandHome, globToRegExp } from './glob.js';
+
+const BUILTIN_DENY = [
+  '~/.ssh',
+  '~/.gnupg',
+  '~/.aws',
+  '~/.azure',
+  '~/.config/gcloud',
+  '~/.kube',
+  '~/.docker/config.json',
+  '~/.netrc',
+  '~/.git-credentials',
+  '~/.cortexai/.env',
+  '~/.cortexai/*.json',
+  '/etc/shadow',
+  '/etc/gshadow',
+  '/etc/sudoers',
+  '/etc/sudoers.d'
+];
+
+let cachedPolicy = null;
+let cachedPolicyFile = null;
+let cachedPolicyMtime = null;
+
+export function getFilesystemPolicyFile() {
+  return process.env.CORTEXAI_FS_POLICY || path.join(os.homedir(), '.cortexai', 'filesystem-policy.json');
+}
+
+// Reads the policy file, re-reading it only when its mtime changes
+function loadFilesystemPolicy() {
+  const policyFile = getFilesystemPolicyFile();
+  let mtime = null;
+  try {
+    mtime = statSync(policyFile).mtimeMs;
+  } catch (error) {
+    // No policy file: the working directory is the workspace
+  }
+
+  if (cachedPolicy && cachedPolicyFile === policyFile && cachedPolicyMtime === mtime) {
+    return cachedPolicy;
+  }
+
+  let policy;
+  try {
+    const raw = mtime === null ? {} : JSON.parse(readFileSync(policyFile, 'utf-8'));
+    const roots = (raw.roots || []).map(root => {
+      const mode = typeof root === 'string' ? 'rw' : root.mode;
+      if (mode !== 'ro' && mode !== 'rw') throw new Error(`Invalid root mode: ${mode}`);
+      return { path: expandHome(typeof root === 'string' ? root : root.path), mode };
+    });
+    const denyGlobs = [...(raw.use_builtin_deny === false ? [] : BUILTIN_DENY), ...(raw.deny || [])];
+    policy = {
+      file: mtime === null ? null : policyFile,
+      invalid: false,
+      roots: roots.length > 0 ? roots : null,
+      deny: denyGlobs.map(glob => ({ glob, regExp: globToRegExp(glob) }))
+    };
+  } catch (error) {
+    policy = { file: policyFile, invalid: true, error: error.message };
+  }
+
+  cachedPolicy = policy;
+  cachedPolicyFile = policyFile;
+  cachedPolicyMtime = mtime;
+  return policy;
+}
+
+// Same limit as Linux, for chains of dangling links that realpath can't report as a loop
+const MAX_SYMLINK_HOPS = 40;
+
+// realpath that tolerates missing trailing components (e.g. a file about to be created)
+async function resolveReal(absolutePath, hops = 0) {
+  try {
+    return await fs.realpath(absolutePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    const parent = path.dirname(absolutePath);
+    if (parent === absolutePath) return absolutePath;
+    const realParent = await resolveReal(parent, hops);
+    // A dangling symlink is missing too, but writing through it creates its target, so that is what gets checked
+    const linkTarget = await fs.readlink(path.join(realParent, path.basename(absolutePath))).catch(() => null);
+    if (linkTarget !== null) {
+      if (hops >= MAX_SYMLINK_HOPS) {
+        const loop = new Error(`Too many levels of symbolic links: ${absolutePath}`);
+        loop.code = 'ELOOP';
+        throw loop;
+      }
+      return resolveReal(path.resolve(realParent, linkTarget), hops + 1);
+    }
+    return path.join(realParent, path.basename(absolutePath));
+  }
+}
+
+function isInside(candidate, root) {
+  const relative = path.relative(root, candidate);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function findDenyMatch(candidate, denyRules) {
+  let current = candidate;
+  while (true) {
+    const rule = denyRules.find(r => r.regExp.test(current));
+    if (rule) return rule;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Check a path against the sandbox
+ * @param {string} requestedPath - Path supplied by the model
+ * @param {string} access - 'read' or 'write'
+ * @returns {Promise<Object>} { allowed: true, path, realPath, root } or { allowed: false, error_code, error }
+ */
+export async function checkPath(requestedPath, access = 'read') {
+  const policy = loadFilesystemPolicy();
+  const absolutePath = path.resolve(requestedPath);
+
+  if (policy.invalid) {
+    return {
+      allowed: false,
+      error_code: "PATH_POLICY_INVALID",
+      error: `Filesystem policy ${policy.file} could not be loaded: ${policy.error}`
+    };
+  }
+
+  const realPath = await resolveReal(absolutePath);
+
+  const deniedBy = findDenyMatch(absolutePath, policy.deny) || findDenyMatch(realPath, policy.deny);
+  if (deniedBy) {
+    return {
+      allowed: false,
+      error_code: "PATH_DENIED",
+      error: `Access to ${absolutePath} is denied by sandbox rule ${deniedBy.glob}`,
+      rule: deniedBy.glob
+    };
+  }
+
+  const roots = policy.roots || [{ path: process.cwd(), mode: 'rw' }];
+  const resolvedRoots = [];
+  for (const root of roots) {
+    try {
+      resolvedRoots.push({ ...root, realPath: await fs.realpath(path.resolve(root.path)) });
+    } catch (error) {
+      // Roots that don't exist can't contain anything
+    }
+  }
+
+  // The most specific root decides, so a read-only folder inside a read-write workspace stays read-only
+  const root = resolvedRoots
+    .filter(r => isInside(realPath, r.realPath))
+    .sort((a, b) => b.realPath.length - a.realPath.length)[0];
+
+  if (!root) {
+    return {
+      allowed: false,
+      error_code: "PATH_OUTSIDE_WORKSPACE",
+      error: `${absolutePath}${realPath !== absolutePath ? ` (resolves to ${realPath})` : ''} is outside the workspace roots: ${resolvedRoots.map(r => r.realPath).join(', ') || 'none'}`
+    };
+  }
+
+  if (access === 'write' && root.mode !== 'rw') {
+    return {
+      allowed: false,
+      error_code: "PATH_READ_ONLY",
+      error: `${absolutePath} is inside read-only workspace root ${root.realPath}`
+    };
+  }
+
+  return { allowed: true, path: absolutePath, realPath, root: root.realPath };
+}
+
+/**
+ * Find the deny glob that blocks an already resolved path
+ * Used by recursive walks, which start from a checked root and don't follow
+ * symlinks, so each entry only needs the cheap deny test
+ * @param {string} absolutePath - Real path of an entry
+ * @returns {string|null} Matching deny glob, or null when the path is not denied
+ */
+export function findDeniedRule(absolutePath) {
+  const policy = loadFilesystemPolicy();
+  if (policy.invalid) return null;
+  const rule = findDenyMatch(absolutePath, policy.deny);
+  return rule ? rule.glob : null;
+}
+
+// Structured refusal returned by tools when the sandbox blocks a path
+export function sandboxRefusal(check, requestedPath) {
+  return {
+    success: false,
+    error_code: check.error_code,
+    error: check.error,
+    path: requestedPath
+  };
+}
@@ -0,0 +1,255 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Engagement scope policy shared by all network tools
+ *
+ * The policy is read from the file named by CORTEXAI_SCOPE_FILE, falling back to
+ * ~/.cortexai/scope.json. Without a policy file every target is in scope. A policy
+ * file that cannot be parsed fails closed and puts every target out of scope.
+ *
+ * {
+ *   "name": "acme-2025-q3",
+ *   "allow": { "hosts": ["acme.com", "*.acme.com"], "cidrs": ["10.10.0.0/16"], "ports": [443, "8000-8100"], "paths": ["/app"] },
+ *   "deny":  { "hosts": ["sso.acme.com"], "cidrs": [], "ports": [], "paths": ["/app/logout"] }
+ * }
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import net from 'net';
+import dns from 'dns';
+import { URL } from 'url';
+
+const dnsLookup = dns.promises.lookup;
+
+let cachedPolicy = null;
+let cachedPolicyFile = null;
+let cachedPolicyMtime = null;
+
+export function getScopeFile() {
+  return process.env.CORTEXAI_SCOPE_FILE || path.join(os.homedir(), '.cortexai', 'scope.json');
+}
+
+// Reads the policy file, re-reading it only when its mtime changes
+export function loadScopePolicy() {
+  const scopeFile = getScopeFile();
+  let stats;
+  try {
+    stats = fs.statSync(scopeFile);
+  } catch (error) {
+    cachedPolicy = null;
+    cachedPolicyFile = scopeFile;
+    cachedPolicyMtime = null;
+    return null;
+  }
+
+  if (cachedPolicyFile === scopeFile && cachedPolicyMtime === stats.mtimeMs) {
+    return cachedPolicy;
+  }
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(scopeFile, 'utf-8'));
+    cachedPolicy = normalizePolicy(raw, scopeFile);
+  } catch (error) {
+    cachedPolicy = { name: null, file: scopeFile, invalid: true, error: error.message };
+  }
+  cachedPolicyFile = scopeFile;
+  cachedPolicyMtime = stats.mtimeMs;
+  return cachedPolicy;
+}
+
+export function isScopeEnforced() {
+  return loadScopePolicy() !== null;
+}
+
+function normalizePolicy(raw, scopeFile) {
+  const normalizeRules = (rules = {}) => ({
+    hosts: (rules.hosts || []).map(h => String(h).toLowerCase().replace(/\.$/, '')),
+    cidrs: (rules.cidrs || []).map(parseCidr),
+    ports: (rules.ports || []).map(parsePortRange),
+    paths: (rules.paths || []).map(String)
+  });
+
+  return {
+    name: raw.name || null,
+    file: scopeFile,
+    invalid: false,
+    allow: normalizeRules(raw.allow),
+    deny: normalizeRules(raw.deny)
+  };
+}
+
+function parsePortRange(port) {
+  const match = String(port).match(/^(\d+)(?:-(\d+))?$/);
+  if (!match) throw new Error(`Invalid port rule: ${port}`);
+  const low = parseInt(match[1], 10);
+  const high = match[2] ? parseInt(match[2], 10) : low;
+  return { low, high, source: String(port) };
+}
+
+function ipToBigInt(ip) {
+  if (net.isIPv4(ip)) {
+    return ip.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(parseInt(octet, 10)), 0n);
+  }
+  // Expand "::" and any embedded IPv4 tail before folding the groups
+  let address = ip;
+  const v4Tail = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4Tail) {
+    const v4 = ipToBigInt(v4Tail[1]);
+    address = address.slice(0, -v4Tail[1].length) + `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+  const missing = tail !== undefined ? 8 - headGroups.length - tailGroups.length : 0;
+  const groups = [...headGroups, ...new Array(missing).fill('0'), ...tailGroups];
+  return groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+}
+
+function parseCidr(cidr) {
+  const [address, prefix] = String(cidr).split('/');
+  const version = net.isIP(address);
+  if (!version) throw new Error(`Invalid CIDR rule: ${cidr}`);
+  const bits = version === 4 ? 32 : 128;
+  const prefixLength = prefix === undefined ? bits : parseInt(prefix, 10);
+  if (isNaN(prefixLength) || prefixLength < 0 || prefixLength > bits) {
+    throw new Error(`Invalid CIDR rule: ${cidr}`);
+  }
+  const shift = BigInt(bits - prefixLength);
+  return { version, network: ipToBigInt(address) >> shift, shift, source: String(cidr) };
+}
+
+// IPv4-mapped IPv6 (::ffff:10.0.0.1, ::ffff:a00:1) reaches the IPv4 host, so it is checked as one
+function unmapIPv4(ip) {
+  if (net.isIP(ip) !== 6) return ip;
+  const value = ipToBigInt(ip);
+  if (value >> 32n !== 0xffffn) return ip;
+  return [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 0xffn)).join('.');
+}
+
+function ipInCidr(ip, cidr) {
+  const address = unmapIPv4(ip);
+  const version = net.isIP(address);
+  if (version !== cidr.version) return false;
+  return (ipToBigInt(address) >> cidr.shift) === cidr.network;
+}
+
+function hostMatches(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern;
+}
+
+function pathMatches(pathname, prefix) {
+  if (pathname === prefix) return true;
+  if (!pathname.startsWith(prefix)) return false;
+  return prefix.endsWith('/') || pathname[prefix.length] === '/' || pathname[prefix.length] === '?';
+}
+
+// null when the name does not resolve
+async function resolveAddresses(hostname) {
+  if (net.isIP(hostname)) return [hostname];
+  try {
+    const records = await dnsLookup(hostname, { all: true });
+    return records.map(r => r.address);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a target against the active scope policy
+ * @param {string} target - Absolute URL of the request (http, https, ws, wss or tcp://host:port)
+ * @returns {Promise<{allowed: boolean, reason?: string, rule?: string, policy?: string}>}
+ */
+export async function checkScope(target) {
+  const policy = loadScopePolicy();
+  if (!policy) return { allowed: true, enforced: false };
+
+  const deny = (reason, rule) => ({ allowed: false, reason, rule, policy: policy.name || policy.file });
+
+  if (policy.invalid) {
+    return deny(`Scope file ${policy.file} could not be loaded: ${policy.error}`, 'invalid_policy');
+  }
+
+  let urlObj;
+  try {
+    urlObj = new URL(target);
+  } catch (error) {
+    return deny(`Invalid URL: ${target}`, 'invalid_url');
+  }
+
+  const hostname = urlObj.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  const defaultPorts = { 'http:': 80, 'https:': 443, 'ws:': 80, 'wss:': 443 };
+  const port = urlObj.port ? parseInt(urlObj.port, 10) : defaultPorts[urlObj.protocol];
+  const pathname = urlObj.pathname || '/';
+
+  const needsAddresses = policy.allow.cidrs.length > 0 || policy.deny.cidrs.length > 0;
+  const resolved = needsAddresses ? await resolveAddresses(hostname) : [];
+  const addresses = resolved || [];
+
+  // Deny rules always win
+  const deniedHost = policy.deny.hosts.find(p => hostMatches(hostname, p));
+  if (deniedHost) return deny(`Host ${hostname} matches deny rule ${deniedHost}`, `deny.hosts:${deniedHost}`);
+
+  // Without addresses the denied ranges cannot be ruled out, and the name may resolve by the time it is contacted
+  if (resolved === null && policy.deny.cidrs.length > 0) {
+    return deny(`Host ${hostname} could not be resolved to check it against the denied address ranges`, 'unresolvable_host');
+  }
+
+  for (const address of addresses) {
+    const deniedCidr = policy.deny.cidrs.find(c => ipInCidr(address, c));
+    if (deniedCidr) {
+      return deny(`Address ${address} of ${hostname} is in denied range ${deniedCidr.source}`, `deny.cidrs:${deniedCidr.source}`);
+    }
+  }
+
+  const deniedPort = policy.deny.ports.find(r => port >= r.low && port <= r.high);
+  if (deniedPort) return deny(`Port ${port} matches deny rule ${deniedPort.source}`, `deny.ports:${deniedPort.source}`);
+
+  const deniedPath = policy.deny.paths.find(p => pathMatches(pathname, p));
+  if (deniedPath) return deny(`Path ${pathname} matches deny rule ${deniedPath}`, `deny.paths:${deniedPath}`);
+
+  // A target must match the allow rules of every dimension that has any
+  if (policy.allow.hosts.length > 0 || policy.allow.cidrs.length > 0) {
+    const hostAllowed = policy.allow.hosts.some(p => hostMatches(hostname, p));
+    const addressAllowed = policy.allow.cidrs.length > 0 &&
+      addresses.length > 0 &&
+      addresses.every(address => policy.allow.cidrs.some(c => ipInCidr(address, c)));
+    if (!hostAllowed && !addressAllowed) {
+      return deny(`Host ${hostname} is not in the allowed hosts or address ranges`, 'allow.hosts');
+    }
+  }
+
+  if (policy.allow.ports.length > 0 && !policy.allow.ports.some(r => port >= r.low && port <= r.high)) {
+    return deny(`Port ${port} is not in the allowed ports`, 'allow.ports');
+  }
+
+  if (policy.allow.paths.length > 0 && !policy.allow.paths.some(p => pathMatches(pathname, p))) {
+    return deny(`Path ${pathname} is not under an allowed path prefix`, 'allow.paths');
+  }
+
+  return { allowed: true, enforced: true, policy: policy.name || policy.file };
+}
+
+// Structured refusal returned by tools when a target is out of scope
+export function outOfScopeResult(target, decision, extra = {}) {
+  return {
+    success: false,
+    error_code: "OUT_OF_SCOPE",
+    error: `Refusing to contact out-of-scope target: ${decision.reason}`,
+    url: target,
+    scope_rule: decision.rule,
+    scope_policy: decision.policy,
+    ...extra
+  };
+}
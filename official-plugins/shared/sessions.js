@@ -0,0 +1,227 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Named sessions with RFC 6265 cookie jars
+ * Shared by web_request, browse_website and probe_api_endpoints so cookies carry
+ * over between raw HTTP and the headless browser
+ */
+
+import net from 'net';
+import { URL } from 'url';
+
+const sessions = new Map();
+
+function defaultPath(pathname) {
+  if (!pathname || !pathname.startsWith('/')) return '/';
+  const lastSlash = pathname.lastIndexOf('/');
+  return lastSlash === 0 ? '/' : pathname.substring(0, lastSlash);
+}
+
+function domainMatches(hostname, domain) {
+  if (hostname === domain) return true;
+  return !net.isIP(hostname) && hostname.endsWith(`.${domain}`);
+}
+
+function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+export class CookieJar {
+  constructor() {
+    this.cookies = [];
+  }
+
+  // Parses one Set-Cookie header value received from requestUrl and stores it
+  setCookie(header, requestUrl) {
+    const urlObj = new URL(requestUrl);
+    const hostname = urlObj.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const secureOrigin = urlObj.protocol === 'https:' || urlObj.protocol === 'wss:';
+    const [pair, ...attributes] = String(header).split(';');
+    const separator = pair.indexOf('=');
+    if (separator <= 0) return null;
+
+    const cookie = {
+      name: pair.substring(0, separator).trim(),
+      value: pair.substring(separator + 1).trim(),
+      domain: hostname,
+      hostOnly: true,
+      path: defaultPath(urlObj.pathname),
+      expires: null,
+      secure: false,
+      httpOnly: false,
+      sameSite: null,
+      created: Date.now()
+    };
+
+    let maxAge = null;
+    for (const attribute of attributes) {
+      const index = attribute.indexOf('=');
+      const key = (index === -1 ? attribute : attribute.substring(0, index)).trim().toLowerCase();
+      const value = index === -1 ? '' : attribute.substring(index + 1).trim();
+
+      if (key === 'expires') {
+        const expires = Date.parse(value);
+        if (!isNaN(expires)) cookie.expires = expires;
+      } else if (key === 'max-age') {
+        if (/^-?\d+$/.test(value)) maxAge = parseInt(value, 10);
+      } else if (key === 'domain' && value) {
+        const domain = value.replace(/^\./, '').toLowerCase();
+        // Reject cookies for domains the responding host does not belong to
+        if (!domainMatches(hostname, domain)) return null;
+        cookie.domain = domain;
+        cookie.hostOnly = false;
+      } else if (key === 'path') {
+        cookie.path = value.startsWith('/') ? value : defaultPath(urlObj.pathname);
+      } else if (key === 'secure') {
+        cookie.secure = true;
+      } else if (key === 'httponly') {
+        cookie.httpOnly = true;
+      } else if (key === 'samesite') {
+        cookie.sameSite = value || null;
+      }
+    }
+
+    // Max-Age takes precedence over Expires
+    if (maxAge !== null) {
+      cookie.expires = maxAge <= 0 ? 0 : Date.now() + maxAge * 1000;
+    }
+
+    // Insecure origins may not set Secure cookies
+    if (cookie.secure && !secureOrigin) return null;
+
+    this.cookies = this.cookies.filter(c =>
+      !(c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path)
+    );
+    if (cookie.expires === null || cookie.expires > Date.now()) {
+      this.cookies.push(cookie);
+    }
+    return cookie;
+  }
+
+  storeResponseCookies(setCookieHeaders, requestUrl) {
+    const headers = Array.isArray(setCookieHeaders) ? setCookieHeaders : (setCookieHeaders ? [setCookieHeaders] : []);
+    return headers.map(header => this.setCookie(header, requestUrl)).filter(Boolean);
+  }
+
+  removeExpired() {
+    const now = Date.now();
+    this.cookies = this.cookies.filter(c => c.expires === null || c.expires > now);
+  }
+
+  // Cookies to send to requestUrl, longest path first as RFC 6265 recommends
+  getCookies(requestUrl) {
+    this.removeExpired();
+    const urlObj = new URL(requestUrl);
+    const hostname = urlObj.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const secureOrigin = urlObj.protocol === 'https:' || urlObj.protocol === 'wss:';
+    const requestPath = urlObj.pathname || '/';
+
+    return this.cookies
+      .filter(c => (c.hostOnly ? hostname === c.domain : domainMatches(hostname, c.domain)))
+      .filter(c => pathMatches(requestPath, c.path))
+      .filter(c => !c.secure || secureOrigin)
+      .sort((a, b) => (b.path.length - a.path.length) || (a.created - b.created));
+  }
+
+  getCookieHeader(requestUrl) {
+    return this.getCookies(requestUrl).map(c => `${c.name}=${c.value}`).join('; ');
+  }
+
+  // Cookie parameters for page.setCookie(); host-only cookies are set by URL so
+  // Chromium does not widen them to subdomains
+  toPuppeteerCookies() {
+    this.removeExpired();
+    return this.cookies.map(c => {
+      const cookie = {
+        name: c.name,
+        value: c.value,
+        path: c.path,
+        secure: c.secure,
+        httpOnly: c.httpOnly,
+        expires: c.expires === null ? -1 : c.expires / 1000
+      };
+      if (c.hostOnly) {
+        cookie.url = `${c.secure ? 'https' : 'http'}://${c.domain}${c.path}`;
+      } else {
+        cookie.domain = `.${c.domain}`;
+      }
+      if (c.sameSite) {
+        cookie.sameSite = c.sameSite.charAt(0).toUpperCase() + c.sameSite.slice(1).toLowerCase();
+      }
+      return cookie;
+    });
+  }
+
+  // Merges cookies read from Chromium (Network.getAllCookies) into the jar
+  importPuppeteerCookies(browserCookies) {
+    for (const c of browserCookies) {
+      const hostOnly = !c.domain.startsWith('.');
+      const cookie = {
+        name: c.name,
+        value: c.value,
+        domain: c.domain.replace(/^\./, '').toLowerCase(),
+        hostOnly: hostOnly,
+        path: c.path || '/',
+        expires: c.session || c.expires === -1 ? null : Math.round(c.expires * 1000),
+        secure: Boolean(c.secure),
+        httpOnly: Boolean(c.httpOnly),
+        sameSite: c.sameSite || null,
+        created: Date.now()
+      };
+      const existing = this.cookies.find(e =>
+        e.name === cookie.name && e.domain === cookie.domain && e.path === cookie.path
+      );
+      if (existing) {
+        cookie.created = existing.created;
+        this.cookies.splice(this.cookies.indexOf(existing), 1);
+      }
+      this.cookies.push(cookie);
+    }
+    this.removeExpired();
+  }
+
+  toJSON() {
+    this.removeExpired();
+    return this.cookies.map(c => ({
+      name: c.name,
+      domain: c.hostOnly ? c.domain : `.${c.domain}`,
+      path: c.path,
+      expires: c.expires === null ? 'session' : new Date(c.expires).toISOString(),
+      secure: c.secure,
+      http_only: c.httpOnly,
+      same_site: c.sameSite
+    }));
+  }
+}
+
+// Returns the named session, creating it on first use
+export function getSession(name) {
+  if (!sessions.has(name)) {
+    sessions.set(name, { name, jar: new CookieJar(), created: new Date().toISOString() });
+  }
+  return sessions.get(name);
+}
+
+// Adds the session's cookies to a header set, keeping any Cookie header the caller supplied
+export function applySessionCookies(headers, session, requestUrl) {
+  const cookieHeader = session.jar.getCookieHeader(requestUrl);
+  if (!cookieHeader) return headers;
+
+  const merged = { ...headers };
+  const existingKey = Object.keys(merged).find(k => k.toLowerCase() === 'cookie');
+  if (existingKey) {
+    merged[existingKey] = `${cookieHeader}; ${merged[existingKey]}`;
+  } else {
+    merged['Cookie'] = cookieHeader;
+  }
+  return merged;
+}
@@ -9,51 +9,105 @@
 
 /**
  * Web Analysis Plugin for CortexAI
- * Advanced JavaScript analysis and API endpoint probing
+ * Advanced JavaScript analysis, API endpoint probing and API schema ingestion
  */
 
 import https from 'https';
 import http from 'http';
+import fs from 'fs/promises';
+import crypto from 'crypto';
 import { URL } from 'url';
+import { checkPath } from '../shared/sandbox.js';
+import { checkScope, outOfScopeResult } from '../shared/scope.js';
+import { getSession, applySessionCookies } from '../shared/sessions.js';
+import { resolveProxy, applyProxy } from '../shared/proxy.js';
+import { createRequestTimer, rawHeaderList } from '../shared/metrics.js';
+import { extractEndpoints, compileSearchPatterns, searchSource } from './js-lexer.js';
+import { findSourceMapUrl, decodeDataUrl, parseSourceMap, originalSources } from './source-map.js';
+import { INTROSPECTION_QUERY, parseSchemaDocument, parseOpenApi, firstServerIsRelative, openApiWebRequest, parseGraphqlIntrospection, graphqlWebRequest } from './schema.js';
+import { RETRY_STATUS_CODES, DEFAULT_VARIANT_SUFFIXES, INTERESTING_STATUS_CODES, createRateLimiter, runWithConcurrency, retryDelayMs, readWordlist, baselinePaths, joinBasePath, pathVariants, describeBaseline, matchSoft404, groupResults } from './probe.js';
 
 // Helper function for web requests
-async function makeWebRequest(url, method = 'GET', headers = {}) {
+// maxBodyBytes keeps only the start of the body, adding the full body's length and SHA-256
+async function makeWebRequest(url, method = 'GET', headers = {}, { session = null, proxy = null, verifyTls = false, timeoutMs = 30000, body = null, maxBodyBytes = null } = {}) {
+  const decision = await checkScope(url);
+  if (!decision.allowed) {
+    return JSON.stringify(outOfScopeResult(url, decision));
+  }
+
+  let urlObj;
+  let options;
+  const timer = createRequestTimer();
+  try {
+    urlObj = new URL(url);
+    const isHttps = urlObj.protocol === 'https:';
+    let defaultHeaders = {
+      'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36',
+      ...headers
+    };
+    if (body !== null) {
+      defaultHeaders['Content-Length'] = Buffer.byteLength(body);
+    }
+    if (session) {
+      defaultHeaders = applySessionCookies(defaultHeaders, getSession(session), url);
+    }
+
+    options = await applyProxy(urlObj, {
+      hostname: urlObj.hostname,
+      port: urlObj.port || (isHttps ? 443 : 80),
+      path: urlObj.pathname + urlObj.search,
+      method: method,
+      headers: defaultHeaders,
+      timeout: timeoutMs,
+      rejectUnauthorized: verifyTls
+    }, resolveProxy(url, proxy));
+    if (options.createConnection) timer.mark('tunnel');
+  } catch (error) {
+    return JSON.stringify({ success: false, error: error.message });
+  }
+
   return new Promise((resolve) => {
     try {
-      const urlObj = new URL(url);
-      const isHttps = urlObj.protocol === 'https:';
-      const httpModule = isHttps ? https : http;
-      
-      const defaultHeaders = {
-        'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36',
-        ...headers
-      };
-
-      const options = {
-        hostname: urlObj.hostname,
-        port: urlObj.port || (isHttps ? 443 : 80),
-        path: urlObj.pathname + urlObj.search,
-        method: method,
-        headers: defaultHeaders,
-        timeout: 30000,
-        rejectUnauthorized: false
-      };
+      const httpModule = urlObj.protocol === 'https:' ? https : http;
+      const activeSession = session ? getSession(session) : null;
 
       const req = httpModule.request(options, (res) => {
-        let responseData = '';
-        res.on('data', (chunk) => { responseData += chunk; });
+        const chunks = [];
+        let keptBytes = 0;
+        let totalBytes = 0;
+        const bodyHash = maxBodyBytes !== null ? crypto.createHash('sha256') : null;
+        res.on('data', (chunk) => {
+          totalBytes += chunk.length;
+          if (bodyHash) bodyHash.update(chunk);
+          if (maxBodyBytes !== null && keptBytes >= maxBodyBytes) return;
+          const kept = maxBodyBytes !== null ? chunk.subarray(0, maxBodyBytes - keptBytes) : chunk;
+          chunks.push(kept);
+          keptBytes += kept.length;
+        });
         res.on('end', () => {
+          timer.mark('end');
+          if (activeSession) {
+            activeSession.jar.storeResponseCookies(res.headers['set-cookie'], url);
+          }
+          const metrics = timer.result();
           resolve(JSON.stringify({
             success: true,
             status_code: res.statusCode,
             headers: res.headers,
-            body: responseData
+            raw_headers: rawHeaderList(res.rawHeaders),
+            body: Buffer.concat(chunks).toString('utf-8'),
+            ...(bodyHash ? { body_truncated: totalBytes > keptBytes, body_length: totalBytes, body_sha256: bodyHash.digest('hex') } : {}),
+            timing: metrics.timing,
+            connection: metrics.connection
           }));
         });
       });
+      timer.attach(req);
 
       req.on('error', (error) => {
-        resolve(JSON.stringify({ success: false, error: error.message }));
+        const failure = { success: false, error: error.message };
+        if (error.code) failure.error_code = error.code;
+        resolve(JSON.stringify(failure));
       });
 
       req.on('timeout', () => {
@@ -61,7 +115,7 @@ async function makeWebRequest(url, method = 'GET', headers = {}) {
         resolve(JSON.stringify({ success: false, error: 'Request timeout' }));
       });
 
-      req.end();
+      req.end(body !== null ? body : undefined);
     } catch (error) {
       resolve(JSON.stringify({ success: false, error: error.message }));
     }
@@ -73,7 +127,7 @@ const analyzeJavaScriptDefinition = {
   type: "function",
   function: {
     name: "analyze_javascript",
-    description: "Download and analyze JavaScript files for API endpoints, AJAX calls, and network requests",
+    description: "Download and analyze JavaScript files for API endpoints, AJAX calls, and network requests. Scripts are tokenized, so URLs built with + or template literals are recovered, fetch/axios/XHR/jQuery/WebSocket calls are reported with their method, and client and server route definitions are listed. Source maps are followed to analyze the original sources. Every finding has its file, line and column.",
     parameters: {
       type: "object",
       properties: {
@@ -86,7 +140,23 @@ const analyzeJavaScriptDefinition = {
           items: {
             type: "string"
           },
-          description: "Regex patterns to search for (default: API patterns)"
+          description: "Extra regex patterns to search for, as a pattern (\"api[_-]?key\") or as a literal with flags (\"/secret/i\"). The first capture group is reported when there is one; invalid patterns are listed in pattern_errors."
+        },
+        follow_source_maps: {
+          type: "boolean",
+          description: "Fetch source maps and analyze the original sources they embed (default: true)"
+        },
+        include_dependencies: {
+          type: "boolean",
+          description: "Also analyze node_modules and bundler runtime sources from source maps (default: false)"
+        },
+        proxy: {
+          type: "string",
+          description: "Proxy for this call (http://host:port, socks5://host:port), or \"none\" to connect directly (default: CORTEXAI_PROXY)"
+        },
+        verify_tls: {
+          type: "boolean",
+          description: "Reject invalid, expired, self-signed or mismatched certificates (default: false)"
         }
       },
       required: ["url"]
@@ -94,27 +164,52 @@ const analyzeJavaScriptDefinition = {
   }
 };
 
+// Fetch a bundle's source map and analyze the original sources in it
+async function analyzeSourceMap(jsFile, jsData, requestOptions, analyzeSource, includeDependencies) {
+  const mapReference = findSourceMapUrl(jsData.body, jsData.headers);
+  if (!mapReference) return null;
+
+  const sourceMap = { url: mapReference.startsWith('data:') ? 'inline' : null };
+  try {
+    let mapText = decodeDataUrl(mapReference);
+    if (mapText === null) {
+      sourceMap.url = new URL(mapReference, jsFile).href;
+      const mapData = JSON.parse(await makeWebRequest(sourceMap.url, 'GET', {}, requestOptions));
+      if (!mapData.success || mapData.status_code >= 400) {
+        sourceMap.error = mapData.error || `HTTP ${mapData.status_code}`;
+        if (mapData.error_code) sourceMap.error_code = mapData.error_code;
+        return sourceMap;
+      }
+      mapText = mapData.body;
+    }
+    const recovered = originalSources(parseSourceMap(mapText), { includeDependencies });
+    sourceMap.sources_total = recovered.total;
+    sourceMap.sources_analyzed = recovered.sources.length;
+    sourceMap.sources_without_content = recovered.without_content;
+    sourceMap.dependencies_skipped = recovered.dependencies_skipped;
+    for (const source of recovered.sources) {
+      analyzeSource(source.content, { file: source.path, generated_file: jsFile });
+    }
+  } catch (error) {
+    sourceMap.error = `Invalid source map: ${error.message}`;
+  }
+  return sourceMap;
+}
+
 async function analyzeJavaScriptHandler(args) {
   try {
-    const { url, search_patterns = null } = args;
+    const { url, search_patterns = null, follow_source_maps = true, include_dependencies = false, proxy = null, verify_tls = false } = args;
     
-    const defaultPatterns = [
-      /\/api\/[^\s"']+/g,
-      /https?:\/\/[^\s"']*api[^\s"']*/g,
-      /fetch\s*\(\s*['"](.*?)['"][^)]*\)/g,
-      /axios\.(get|post|put|delete)\s*\(\s*['"](.*?)['"][^)]*\)/g,
-      /\$\.ajax\s*\(\s*{[^}]*url\s*:\s*['"](.*?)['"][^}]*}/g,
-      /XMLHttpRequest[^;]*\.open\s*\(\s*[^,]*,\s*['"](.*?)['"][^)]*\)/g,
-      /graphql|gql/gi,
-      /websocket|ws:/gi
-    ];
-
-    const patterns = search_patterns || defaultPatterns;
+    const { compiled: patterns, errors: patternErrors } = compileSearchPatterns(search_patterns);
+    const requestOptions = { proxy, verifyTls: verify_tls };
     
-    const response = await makeWebRequest(url);
+    const response = await makeWebRequest(url, 'GET', {}, requestOptions);
     const responseData = JSON.parse(response);
     
     if (!responseData.success) {
+      if (responseData.error_code) {
+        return JSON.stringify(responseData);
+      }
       return JSON.stringify({
         success: false,
         error: "Failed to fetch main page",
@@ -123,8 +218,29 @@ async function analyzeJavaScriptHandler(args) {
     }
 
     const htmlContent = responseData.body;
-    const foundEndpoints = new Set();
+    const pageFetch = {
+      status_code: responseData.status_code,
+      timing: responseData.timing,
+      connection: responseData.connection,
+      raw_headers: responseData.raw_headers
+    };
+    const findings = [];
+    const patternMatches = [];
+    let truncated = false;
     const jsFiles = [];
+
+    // Findings and pattern matches for one script; returns the findings so callers can summarize per file
+    const analyzeSource = (source, location) => {
+      const extracted = extractEndpoints(source, location);
+      const extra = location.generated_file ? { generated_file: location.generated_file } : {};
+      const located = extracted.findings.map(finding => ({ ...finding, ...extra }));
+      findings.push(...located);
+      truncated = truncated || extracted.truncated;
+      if (patterns.length > 0) {
+        patternMatches.push(...searchSource(source, patterns, location).map(match => ({ ...match, ...extra })));
+      }
+      return located;
+    };
     
     // Extract all script sources
     const scriptMatches = htmlContent.match(/<script[^>]*src=["']([^"']+)["'][^>]*>/gi) || [];
@@ -140,41 +256,56 @@ async function analyzeJavaScriptHandler(args) {
       }
     }
 
-    // Analyze inline scripts in HTML
-    const inlineScripts = htmlContent.match(/<script[^>]*>([\s\S]*?)<\/script>/gi) || [];
-    for (const script of inlineScripts) {
-      const content = script.replace(/<\/?script[^>]*>/gi, '');
-      for (const pattern of patterns) {
-        const matches = content.match(pattern) || [];
-        matches.forEach(match => foundEndpoints.add(match));
-      }
+    // Analyze inline scripts in HTML, keeping their position in the page
+    const inlineScriptPattern = /<script\b[^>]*>([\s\S]*?)<\/script>/gi;
+    let inlineCount = 0;
+    for (const match of htmlContent.matchAll(inlineScriptPattern)) {
+      const content = match[1];
+      if (!content.trim()) continue;
+      const contentStart = match.index + match[0].indexOf('>') + 1;
+      const before = htmlContent.slice(0, contentStart);
+      inlineCount++;
+      analyzeSource(content, {
+        file: url,
+        lineOffset: before.split('\n').length - 1,
+        columnOffset: contentStart - (before.lastIndexOf('\n') + 1)
+      });
     }
 
     // Download and analyze external JS files
     const jsAnalysis = [];
     for (const jsFile of jsFiles.slice(0, 10)) {
       try {
-        const jsResponse = await makeWebRequest(jsFile);
+        const jsResponse = await makeWebRequest(jsFile, 'GET', {}, requestOptions);
         const jsData = JSON.parse(jsResponse);
         
-        if (jsData.success) {
+        if (jsData.error_code) {
+          jsAnalysis.push({
+            file: jsFile,
+            error: jsData.error,
+            error_code: jsData.error_code
+          });
+        } else if (jsData.success) {
           const jsContent = jsData.body;
-          const fileEndpoints = new Set();
+          const fileFindings = analyzeSource(jsContent, { file: jsFile });
+          const sourceMap = follow_source_maps
+            ? await analyzeSourceMap(jsFile, jsData, requestOptions, analyzeSource, include_dependencies)
+            : null;
+          const mappedFindings = findings.filter(f => f.generated_file === jsFile);
+          const fileEndpoints = new Set([...fileFindings, ...mappedFindings].filter(f => f.type !== 'graphql').map(f => f.value));
           
-          for (const pattern of patterns) {
-            const matches = jsContent.match(pattern) || [];
-            matches.forEach(match => {
-              foundEndpoints.add(match);
-              fileEndpoints.add(match);
-            });
-          }
-          
-          jsAnalysis.push({
+          const fileResult = {
             file: jsFile,
+            status_code: jsData.status_code,
             size: jsContent.length,
             endpoints_found: Array.from(fileEndpoints),
-            contains_api_calls: fileEndpoints.size > 0
-          });
+            contains_api_calls: [...fileFindings, ...mappedFindings].some(f => f.type === 'call'),
+            timing: jsData.timing,
+            connection: jsData.connection,
+            raw_headers: jsData.raw_headers
+          };
+          if (sourceMap) fileResult.source_map = sourceMap;
+          jsAnalysis.push(fileResult);
         }
       } catch (error) {
         jsAnalysis.push({
@@ -184,15 +315,31 @@ async function analyzeJavaScriptHandler(args) {
       }
     }
 
-    return JSON.stringify({
+    const endpoints = new Set(findings.filter(f => f.type !== 'graphql').map(f => f.value));
+    const countOf = (type) => findings.filter(f => f.type === type).length;
+
+    const result = {
       success: true,
       url: url,
-      total_endpoints_found: foundEndpoints.size,
-      endpoints: Array.from(foundEndpoints),
+      page: pageFetch,
+      total_endpoints_found: endpoints.size,
+      endpoints: Array.from(endpoints),
+      summary: {
+        api_calls: countOf('call'),
+        routes: countOf('route'),
+        url_literals: countOf('url'),
+        graphql_documents: countOf('graphql')
+      },
+      findings: findings,
+      inline_scripts_analyzed: inlineCount,
       js_files_analyzed: jsAnalysis.length,
       js_files: jsAnalysis,
-      patterns_used: patterns.map(p => p.toString ? p.toString() : p)
-    });
+      patterns_used: patterns.map(p => p.source)
+    };
+    if (truncated) result.findings_truncated = true;
+    if (patterns.length > 0) result.pattern_matches = patternMatches;
+    if (patternErrors.length > 0) result.pattern_errors = patternErrors;
+    return JSON.stringify(result);
 
   } catch (error) {
     return JSON.stringify({
@@ -208,13 +355,13 @@ const probeApiEndpointsDefinition = {
   type: "function",
   function: {
     name: "probe_api_endpoints",
-    description: "Systematically probe for common API endpoint patterns and paths",
+    description: "Systematically probe for common API endpoint patterns and paths, or for every entry of a wordlist, relative to the path of base_url. Each path can be tried with several methods and with extension/backup variants. Requests run concurrently under a rate limit, 429/503 responses are retried with backoff, and responses that match the server's not-found page (soft 404s) are filtered out. Results are grouped by status and content type; 401/403 responses are flagged as interesting.",
     parameters: {
       type: "object", 
       properties: {
         base_url: {
           type: "string",
-          description: "Base URL to probe for API endpoints"
+          description: "Base URL to probe for API endpoints; paths are resolved under its path (https://host/api/v1 + /users probes /api/v1/users)"
         },
         paths: {
           type: "array",
@@ -222,6 +369,69 @@ const probeApiEndpointsDefinition = {
             type: "string"
           },
           description: "Custom paths to test (optional)"
+        },
+        methods: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: ["GET", "HEAD", "OPTIONS", "POST", "PUT", "DELETE", "PATCH"]
+          },
+          description: "Methods to try on every path (default: GET only). Requests are sent without a body."
+        },
+        try_variants: {
+          type: "boolean",
+          description: "Also try extension and backup variants of every path (default: false)"
+        },
+        variant_suffixes: {
+          type: "array",
+          items: {
+            type: "string"
+          },
+          description: "Suffixes used by try_variants (default: .json, .bak, ~, .old)"
+        },
+        wordlist_file: {
+          type: "string",
+          description: "Workspace file with one path per line (blank lines and # comments are skipped); combined with paths if both are given"
+        },
+        concurrency: {
+          type: "number",
+          description: "Number of requests in flight at once (default: 5)"
+        },
+        requests_per_second: {
+          type: "number",
+          description: "Maximum request rate across all workers; 0 for no limit (default: 10)"
+        },
+        jitter_ms: {
+          type: "number",
+          description: "Random extra delay of up to this many milliseconds before each request (default: 0)"
+        },
+        max_retries: {
+          type: "number",
+          description: "Retries for 429 and 503 responses, waiting for Retry-After or backing off exponentially (default: 2)"
+        },
+        timeout_seconds: {
+          type: "number",
+          description: "Time limit for each request (default: 10)"
+        },
+        filter_soft_404: {
+          type: "boolean",
+          description: "Request a few paths that cannot exist first and filter out responses identical to that not-found page (default: true)"
+        },
+        include_not_found: {
+          type: "boolean",
+          description: "Also list 404 and soft-404 responses in results; they are always counted in stats (default: false)"
+        },
+        session: {
+          type: "string",
+          description: "Named session whose cookies are sent with every probe (shared with web_request and browse_website)"
+        },
+        proxy: {
+          type: "string",
+          description: "Proxy for this call (http://host:port, socks5://host:port), or \"none\" to connect directly (default: CORTEXAI_PROXY)"
+        },
+        verify_tls: {
+          type: "boolean",
+          description: "Reject invalid, expired, self-signed or mismatched certificates (default: false)"
         }
       },
       required: ["base_url"]
@@ -229,13 +439,27 @@ const probeApiEndpointsDefinition = {
   }
 };
 
+const SCHEMA_PATH_PATTERN = /openapi|swagger|api-docs|graphql|\/gql\b/i;
+const PROBE_MAX_BODY_BYTES = 64 * 1024;
+
 async function probeApiEndpointsHandler(args) {
   try {
-    const { base_url, paths = null } = args;
+    const {
+      base_url, paths = null, wordlist_file = null, session = null, proxy = null, verify_tls = false,
+      methods = ['GET'], try_variants = false, variant_suffixes = DEFAULT_VARIANT_SUFFIXES,
+      concurrency = 5, requests_per_second = 10, jitter_ms = 0, max_retries = 2, timeout_seconds = 10,
+      filter_soft_404 = true, include_not_found = false
+    } = args;
     const urlObj = new URL(base_url);
     const baseDomain = `${urlObj.protocol}//${urlObj.host}`;
+    const basePath = urlObj.pathname;
+
+    const decision = await checkScope(base_url);
+    if (!decision.allowed) {
+      return JSON.stringify(outOfScopeResult(base_url, decision, { base_url }));
+    }
     
-    const commonPaths = paths || [
+    const commonPaths = [
       '/api',
       '/api/v1',
       '/api/v2', 
@@ -260,49 +484,147 @@ async function probeApiEndpointsHandler(args) {
       '/.well-known/openapi_description'
     ];
 
-    const results = [];
-    
-    for (const path of commonPaths) {
+    let probePaths = paths ? [...paths] : [];
+    if (wordlist_file) {
+      try {
+        probePaths.push(...await readWordlist(wordlist_file));
+      } catch (error) {
+        const failure = { success: false, error: error.message, base_url: base_url, wordlist_file: wordlist_file };
+        if (error.errorCode) failure.error_code = error.errorCode;
+        return JSON.stringify(failure);
+      }
+    }
+    if (!paths && !wordlist_file) probePaths = commonPaths;
+    if (try_variants) {
+      probePaths = probePaths.flatMap(path => [path, ...pathVariants(path, variant_suffixes)]);
+    }
+    probePaths = [...new Set(probePaths.map(path => joinBasePath(basePath, path)))];
+    const probeMethods = [...new Set(methods.map(method => method.toUpperCase()))];
+    const probes = probePaths.flatMap(path => probeMethods.map(method => ({ path, method })));
+
+    const limiter = createRateLimiter({ requestsPerSecond: requests_per_second, jitterMs: jitter_ms });
+    // Only the start of each body is needed to classify it, so large responses are not held in memory
+    const requestOptions = { session, proxy, verifyTls: verify_tls, timeoutMs: timeout_seconds * 1000, maxBodyBytes: PROBE_MAX_BODY_BYTES };
+    const stats = { requests: 0, retries: 0 };
+
+    const fetchWithRetry = async (url, method) => {
+      for (let attempt = 0; ; attempt++) {
+        await limiter.wait();
+        stats.requests++;
+        const responseData = JSON.parse(await makeWebRequest(url, method, {}, requestOptions));
+        if (responseData.success && RETRY_STATUS_CODES.includes(responseData.status_code) && attempt < max_retries) {
+          // The server is throttling this client, not one path, so every worker waits
+          limiter.pause(retryDelayMs(responseData.headers['retry-after'], attempt));
+          stats.retries++;
+          continue;
+        }
+        return { responseData, attempts: attempt + 1 };
+      }
+    };
+
+    // Servers often answer unknown paths differently per method (200 for GET, 405 for PUT), so each method gets its own baselines
+    const baselines = [];
+    if (filter_soft_404) {
+      for (const method of probeMethods) {
+        for (const path of baselinePaths().map(path => joinBasePath(basePath, path))) {
+          const { responseData } = await fetchWithRetry(`${baseDomain}${path}`, method);
+          if (responseData.success) baselines.push(describeBaseline(path, method, responseData));
+        }
+      }
+    }
+
+    const startTime = Date.now();
+    const results = await runWithConcurrency(probes, concurrency, async ({ path, method }) => {
       const testUrl = `${baseDomain}${path}`;
       
       try {
-        const response = await makeWebRequest(testUrl, 'GET');
-        const responseData = JSON.parse(response);
+        const { responseData, attempts } = await fetchWithRetry(testUrl, method);
         
-        results.push({
+        if (responseData.error_code) {
+          return {
+            url: testUrl,
+            method: method,
+            error: responseData.error,
+            error_code: responseData.error_code,
+            accessible: false
+          };
+        }
+
+        const soft404 = responseData.success && baselines.length > 0 ? matchSoft404(path, method, responseData, baselines) : null;
+        const result = {
           url: testUrl,
+          method: method,
           status_code: responseData.status_code || 'error',
-          accessible: responseData.success && responseData.status_code < 400,
+          accessible: responseData.success && responseData.status_code < 400 && !soft404,
+          // 401/403 mean something is there, just not for this client
+          interesting: !soft404 && INTERESTING_STATUS_CODES.includes(responseData.status_code),
           content_type: responseData.headers?.['content-type'] || 'unknown',
-          response_size: responseData.body?.length || 0,
-          likely_api: (responseData.body?.includes('{"') || 
+          response_size: responseData.body_length ?? 0,
+          likely_api: !soft404 && (responseData.body?.includes('{"') || 
                       responseData.body?.includes('[{') ||
                       responseData.headers?.['content-type']?.includes('json') ||
-                      responseData.headers?.['content-type']?.includes('xml'))
-        });
+                      responseData.headers?.['content-type']?.includes('xml')),
+          timing: responseData.timing,
+          connection: responseData.connection,
+          raw_headers: responseData.raw_headers
+        };
+        if (responseData.headers?.allow !== undefined) {
+          result.allow = responseData.headers.allow.split(',').map(value => value.trim()).filter(Boolean);
+        }
+        if (!responseData.success) result.error = responseData.error;
+        if (soft404) result.soft_404 = soft404.path;
+        if (attempts > 1) result.attempts = attempts;
+        return result;
         
       } catch (error) {
-        results.push({
+        return {
           url: testUrl,
+          method: method,
           error: error.message,
           accessible: false
-        });
+        };
       }
-    }
+    });
+    const durationMs = Date.now() - startTime;
 
+    const notFound = results.filter(r => r.status_code === 404 && !r.soft_404);
+    const soft404s = results.filter(r => r.soft_404);
+    const shownResults = include_not_found ? results : results.filter(r => r.status_code !== 404 && !r.soft_404);
     const accessibleEndpoints = results.filter(r => r.accessible);
     const likelyApiEndpoints = results.filter(r => r.likely_api);
+    const interestingEndpoints = results.filter(r => r.interesting);
+    // Documents ingest_api_schema can turn into a full inventory; GraphQL endpoints often refuse a bare GET with 400 or 405
+    const schemaCandidates = results.filter(r => r.method === 'GET' && !r.soft_404 &&
+      (r.accessible || [400, 405].includes(r.status_code)) && SCHEMA_PATH_PATTERN.test(new URL(r.url).pathname));
+    const label = (r) => r.method === 'GET' ? r.url : `${r.method} ${r.url}`;
 
     return JSON.stringify({
       success: true,
       base_url: base_url,
-      total_paths_tested: results.length,
+      methods: probeMethods,
+      total_paths_tested: probePaths.length,
+      total_requests: results.length,
       accessible_endpoints: accessibleEndpoints.length,
       likely_api_endpoints: likelyApiEndpoints.length,
-      results: results,
+      interesting_endpoints: interestingEndpoints.length,
+      results: shownResults,
+      groups: groupResults(shownResults),
       summary: {
-        accessible: accessibleEndpoints.map(r => r.url),
-        likely_apis: likelyApiEndpoints.map(r => r.url)
+        accessible: accessibleEndpoints.map(label),
+        likely_apis: likelyApiEndpoints.map(label),
+        interesting: interestingEndpoints.map(r => `${label(r)} (${r.status_code})`),
+        allow: Object.fromEntries(results.filter(r => r.allow && !r.soft_404).map(r => [label(r), r.allow])),
+        schema_candidates: schemaCandidates.map(r => r.url)
+      },
+      soft_404_baselines: baselines.map(({ hash, ...baseline }) => baseline),
+      stats: {
+        requests: stats.requests,
+        retries: stats.retries,
+        not_found: notFound.length,
+        soft_404_filtered: soft404s.length,
+        errors: results.filter(r => r.error).length,
+        duration_ms: durationMs,
+        requests_per_second: durationMs > 0 ? Math.round(results.length / durationMs * 10000) / 10 : null
       }
     });
 
@@ -315,10 +637,173 @@ async function probeApiEndpointsHandler(args) {
   }
 }
 
+// ============ Tool 3: Ingest API Schema ============
+const ingestApiSchemaDefinition = {
+  type: "function",
+  function: {
+    name: "ingest_api_schema",
+    description: "Fetch or read an OpenAPI 2/3 (Swagger) JSON document or a GraphQL introspection result and turn it into an endpoint inventory: methods, paths, parameters, auth schemes and example bodies. For GraphQL endpoints the introspection query is sent for you. Every operation comes with ready-to-send web_request arguments (credentials as <PLACEHOLDER> values).",
+    parameters: {
+      type: "object",
+      properties: {
+        url: {
+          type: "string",
+          description: "URL of the schema document (e.g. https://example.com/openapi.json) or of a GraphQL endpoint"
+        },
+        file: {
+          type: "string",
+          description: "Workspace file holding the schema document or introspection result, instead of url"
+        },
+        schema_type: {
+          type: "string",
+          enum: ["auto", "openapi", "graphql"],
+          description: "What the url serves (default: auto). auto sends the introspection query when the URL path mentions graphql or gql and fetches the document otherwise."
+        },
+        base_url: {
+          type: "string",
+          description: "Base URL for the generated requests, replacing the server's URL including its path (default: the document's first server, or the GraphQL endpoint that was queried). For a file whose first server is only a path such as /api/v2, that path is resolved against base_url and kept."
+        },
+        headers: {
+          type: "object",
+          description: "Extra headers for fetching the schema, e.g. Authorization"
+        },
+        max_operations: {
+          type: "number",
+          description: "Maximum number of operations to return (default: 500)"
+        },
+        session: {
+          type: "string",
+          description: "Named session whose cookies are sent when fetching (shared with web_request and browse_website)"
+        },
+        proxy: {
+          type: "string",
+          description: "Proxy for this call (http://host:port, socks5://host:port), or \"none\" to connect directly (default: CORTEXAI_PROXY)"
+        },
+        verify_tls: {
+          type: "boolean",
+          description: "Reject invalid, expired, self-signed or mismatched certificates (default: false)"
+        }
+      }
+    }
+  }
+};
+
+// The document's text, from the workspace or over HTTP
+async function loadSchemaSource(args) {
+  const { url = null, file = null, schema_type = 'auto', headers = {}, session = null, proxy = null, verify_tls = false } = args;
+  if (file) {
+    const check = await checkPath(file, 'read');
+    if (!check.allowed) {
+      return { failure: { success: false, error: `Schema file refused: ${check.error}`, file: file, error_code: check.error_code } };
+    }
+    return { text: await fs.readFile(check.realPath, 'utf-8'), source: file };
+  }
+
+  const requestOptions = { session, proxy, verifyTls: verify_tls };
+  const introspect = schema_type === 'graphql' || (schema_type === 'auto' && /graphql|\/gql\b/i.test(new URL(url).pathname));
+  const response = introspect
+    ? await makeWebRequest(url, 'POST', { 'Content-Type': 'application/json', 'Accept': 'application/json', ...headers }, { ...requestOptions, body: JSON.stringify({ query: INTROSPECTION_QUERY }) })
+    : await makeWebRequest(url, 'GET', { 'Accept': 'application/json, */*;q=0.5', ...headers }, requestOptions);
+  const responseData = JSON.parse(response);
+  if (!responseData.success) {
+    return { failure: { ...responseData, url: url } };
+  }
+  if (responseData.status_code >= 400 && !introspect) {
+    return { failure: { success: false, error: `Schema request returned HTTP ${responseData.status_code}`, url: url, status_code: responseData.status_code, error_code: 'HTTP_ERROR' } };
+  }
+  return { text: responseData.body, source: url, sourceUrl: url, statusCode: responseData.status_code };
+}
+
+async function ingestApiSchemaHandler(args) {
+  try {
+    const { url = null, file = null, base_url = null, max_operations = 500 } = args;
+    if (!url === !file) {
+      return JSON.stringify({ success: false, error: 'Provide exactly one of url or file', error_code: 'INVALID_ARGUMENTS' });
+    }
+
+    const loaded = await loadSchemaSource(args);
+    if (loaded.failure) return JSON.stringify(loaded.failure);
+
+    let parsed;
+    try {
+      parsed = parseSchemaDocument(loaded.text);
+    } catch (error) {
+      return JSON.stringify({ success: false, error: error.message, source: loaded.source, error_code: error.errorCode });
+    }
+
+    const { type, doc } = parsed;
+    if (!type) {
+      // Servers with introspection turned off answer with a GraphQL error instead of a schema
+      const graphqlErrors = Array.isArray(doc?.errors) ? doc.errors.map(e => e.message) : null;
+      return JSON.stringify({
+        success: false,
+        error: graphqlErrors
+          ? `GraphQL introspection failed: ${graphqlErrors.join('; ')}`
+          : 'The document is neither an OpenAPI/Swagger document nor a GraphQL introspection result',
+        source: loaded.source,
+        status_code: loaded.statusCode,
+        error_code: graphqlErrors ? 'INTROSPECTION_FAILED' : 'NOT_A_SCHEMA'
+      });
+    }
+
+    const warnings = [];
+    let inventory;
+    let baseUrl;
+    let buildRequest;
+    if (type === 'graphql') {
+      inventory = parseGraphqlIntrospection(doc);
+      baseUrl = base_url || loaded.sourceUrl || null;
+      buildRequest = (operation) => graphqlWebRequest(operation, baseUrl);
+    } else {
+      inventory = parseOpenApi(doc, type, loaded.sourceUrl || base_url);
+      // With no document URL, base_url is what relative servers resolve against, so the resolved server keeps their path
+      const baseUrlResolvesServers = base_url && !loaded.sourceUrl && firstServerIsRelative(doc, type);
+      baseUrl = (baseUrlResolvesServers ? inventory.servers[0] : base_url) || inventory.servers[0] || null;
+      buildRequest = (operation) => openApiWebRequest(operation, baseUrl, inventory.auth_schemes);
+      if (inventory.servers.length > 1 && !base_url) {
+        warnings.push(`The document lists ${inventory.servers.length} servers; requests use the first. Pass base_url to choose another.`);
+      }
+    }
+    if (!baseUrl) {
+      warnings.push('No absolute base URL is known, so no web_request arguments were generated. Pass base_url.');
+    }
+
+    const operations = inventory.operations.slice(0, max_operations).map((operation) => {
+      if (!baseUrl) return operation;
+      try {
+        return { ...operation, web_request: buildRequest(operation) };
+      } catch (error) {
+        return { ...operation, web_request: null, web_request_error: error.message };
+      }
+    });
+
+    return JSON.stringify({
+      success: true,
+      source: loaded.source,
+      schema_type: type === 'graphql' ? 'graphql' : 'openapi',
+      ...inventory,
+      base_url: baseUrl,
+      operation_count: inventory.operations.length,
+      operations: operations,
+      truncated: inventory.operations.length > operations.length,
+      warnings: warnings
+    });
+
+  } catch (error) {
+    return JSON.stringify({
+      success: false,
+      error: error.message,
+      url: args.url,
+      file: args.file
+    });
+  }
+}
+
 // ============ Plugin Initialization ============
 export async function init(toolRegistry) {
   toolRegistry.register(analyzeJavaScriptDefinition, analyzeJavaScriptHandler);
   toolRegistry.register(probeApiEndpointsDefinition, probeApiEndpointsHandler);
+  toolRegistry.register(ingestApiSchemaDefinition, ingestApiSchemaHandler);
   
   console.log("   🔍 Web analysis plugin initialized");
 }
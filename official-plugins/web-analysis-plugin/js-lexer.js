@@ -0,0 +1,690 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * JavaScript endpoint extraction for analyze_javascript
+ * A tokenizer that understands strings, template literals, regex literals and
+ * comments, so URLs are read from real string values rather than from raw
+ * text. On top of the token stream it recognises:
+ *   - URL-like literals, including ones built with + and template literals
+ *     (dynamic parts become {placeholders})
+ *   - fetch, axios, XHR, jQuery, WebSocket, EventSource and sendBeacon calls,
+ *     plus .get/.post/... on any HTTP client
+ *   - route definitions: { path: ... } objects, <Route path=...> and
+ *     app/router.get(...) handlers
+ *   - gql/graphql tagged templates
+ * It is not a full parser. Malformed input never throws; it only yields fewer findings.
+ */
+
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=',
+  '&=', '|=', '^=', '<<', '>>', '**'
+];
+
+// After these keywords a slash starts a regex, not a division
+const KEYWORDS_BEFORE_EXPRESSION = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+  'case', 'do', 'else', 'yield', 'await'
+]);
+
+const HTTP_METHOD_NAMES = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options'];
+const ROUTER_RECEIVERS = /^(app|router|server|route|routes)$/;
+const MAX_FINDINGS = 2000;
+// A call inside a concatenation, e.g. encodeURIComponent(id), is only read when this short
+const MAX_CALL_TOKENS = 16;
+
+function isIdentifierStart(ch) {
+  return /[A-Za-z_$\u00A0-\uFFFF]/.test(ch);
+}
+
+function isIdentifierPart(ch) {
+  return /[A-Za-z0-9_$\u00A0-\uFFFF\u200C\u200D]/.test(ch);
+}
+
+function decodeEscape(source, i) {
+  const ch = source[i];
+  switch (ch) {
+    case 'n': return ['\n', 1];
+    case 't': return ['\t', 1];
+    case 'r': return ['\r', 1];
+    case 'b': return ['\b', 1];
+    case 'f': return ['\f', 1];
+    case 'v': return ['\v', 1];
+    case '0': return ['\0', 1];
+    case '\r': return ['', source[i + 1] === '\n' ? 2 : 1];
+    case '\n':
+    case '\u2028':
+    case '\u2029': return ['', 1];
+    case 'x': {
+      const hex = source.slice(i + 1, i + 3);
+      return /^[0-9a-fA-F]{2}$/.test(hex) ? [String.fromCharCode(parseInt(hex, 16)), 3] : ['x', 1];
+    }
+    case 'u': {
+      if (source[i + 1] === '{') {
+        const end = source.indexOf('}', i + 2);
+        const hex = end > 0 ? source.slice(i + 2, end) : '';
+        if (/^[0-9a-fA-F]{1,6}$/.test(hex) && parseInt(hex, 16) <= 0x10FFFF) {
+          return [String.fromCodePoint(parseInt(hex, 16)), end - i + 1];
+        }
+        return ['u', 1];
+      }
+      const hex = source.slice(i + 1, i + 5);
+      return /^[0-9a-fA-F]{4}$/.test(hex) ? [String.fromCharCode(parseInt(hex, 16)), 5] : ['u', 1];
+    }
+    default: return [ch === undefined ? '' : ch, 1];
+  }
+}
+
+// Index of the } closing a ${ that starts at `start`, skipping nested strings, templates and comments
+// Nesting is tracked on a stack rather than by recursion, so deeply nested templates cannot overflow
+function findTemplateExpressionEnd(source, start) {
+  // Brace depth of each open expression, or 'template' for a nested template literal
+  const stack = [1];
+  let i = start;
+  while (i < source.length) {
+    const ch = source[i];
+    if (stack[stack.length - 1] === 'template') {
+      if (ch === '\\') {
+        i += 2;
+      } else if (ch === '`') {
+        stack.pop();
+        i++;
+      } else if (ch === '$' && source[i + 1] === '{') {
+        stack.push(1);
+        i += 2;
+      } else {
+        i++;
+      }
+    } else if (ch === '\'' || ch === '"') {
+      i++;
+      while (i < source.length && source[i] !== ch && source[i] !== '\n') i += source[i] === '\\' ? 2 : 1;
+      i++;
+    } else if (ch === '`') {
+      stack.push('template');
+      i++;
+    } else if (ch === '/' && source[i + 1] === '/') {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (ch === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      i = end < 0 ? source.length : end + 2;
+    } else {
+      if (ch === '{') stack[stack.length - 1]++;
+      if (ch === '}' && --stack[stack.length - 1] === 0) {
+        stack.pop();
+        if (stack.length === 0) return i;
+      }
+      i++;
+    }
+  }
+  return source.length;
+}
+
+// A template literal starting at the backtick at `start`: cooked string parts and raw expression texts
+function scanTemplate(source, start) {
+  const parts = [''];
+  const expressions = [];
+  let i = start + 1;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '`') return { parts, expressions, end: i + 1 };
+    if (ch === '\\') {
+      const [value, length] = decodeEscape(source, i + 1);
+      parts[parts.length - 1] += value;
+      i += 1 + length;
+    } else if (ch === '$' && source[i + 1] === '{') {
+      const end = findTemplateExpressionEnd(source, i + 2);
+      expressions.push(source.slice(i + 2, end).trim());
+      parts.push('');
+      i = end + 1;
+    } else {
+      parts[parts.length - 1] += ch;
+      i++;
+    }
+  }
+  return { parts, expressions, end: source.length };
+}
+
+function regexAllowedAfter(token) {
+  if (!token) return true;
+  if (token.type === 'name') return KEYWORDS_BEFORE_EXPRESSION.has(token.value);
+  if (token.type === 'punct') return ![')', ']', '}'].includes(token.value);
+  return false;
+}
+
+// Scan a regex literal; null when the slash turns out to be a division (no closing slash on the line)
+function scanRegex(source, start) {
+  let i = start + 1;
+  let inClass = false;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '\n' || ch === '\r') return null;
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === '[') inClass = true;
+    else if (ch === ']') inClass = false;
+    else if (ch === '/' && !inClass) {
+      i++;
+      while (i < source.length && isIdentifierPart(source[i])) i++;
+      return i;
+    }
+    i++;
+  }
+  return null;
+}
+
+/**
+ * Split JavaScript source into tokens
+ * Strings carry their decoded value; templates carry parts and expressions.
+ * @param {string} source
+ * @returns {{type: string, value: *, start: number}[]}
+ */
+export function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  let previous = null;
+  const push = (token) => {
+    tokens.push(token);
+    previous = token;
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    const next = source[i + 1];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '/' && next === '/') {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (ch === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      i = end < 0 ? source.length : end + 2;
+    } else if (ch === '\'' || ch === '"') {
+      const start = i;
+      let value = '';
+      i++;
+      // An unterminated string ends at the line break (JSX text such as don't)
+      while (i < source.length && source[i] !== ch && source[i] !== '\n') {
+        if (source[i] === '\\') {
+          const [decoded, length] = decodeEscape(source, i + 1);
+          value += decoded;
+          i += 1 + length;
+        } else {
+          value += source[i++];
+        }
+      }
+      i++;
+      push({ type: 'string', value, start });
+    } else if (ch === '`') {
+      const template = scanTemplate(source, i);
+      push({ type: 'template', parts: template.parts, expressions: template.expressions, start: i });
+      i = template.end;
+    } else if (isIdentifierStart(ch) || (ch === '\\' && next === 'u')) {
+      const start = i;
+      while (i < source.length && (isIdentifierPart(source[i]) || source[i] === '\\')) i++;
+      push({ type: 'name', value: source.slice(start, i), start });
+    } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next || ''))) {
+      const start = i;
+      while (i < source.length && /[0-9A-Za-z_.]/.test(source[i])) i++;
+      push({ type: 'number', value: source.slice(start, i), start });
+    } else if (ch === '/' && regexAllowedAfter(previous)) {
+      const end = scanRegex(source, i);
+      if (end === null) {
+        push({ type: 'punct', value: '/', start: i });
+        i++;
+      } else {
+        push({ type: 'regex', value: source.slice(i, end), start: i });
+        i = end;
+      }
+    } else {
+      const punctuator = PUNCTUATORS.find(p => source.startsWith(p, i)) || ch;
+      push({ type: 'punct', value: punctuator, start: i });
+      i += punctuator.length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Map offsets to 1-based lines and columns
+ * @returns {function(number): {line: number, column: number}}
+ */
+export function createLocator(source, { lineOffset = 0, columnOffset = 0 } = {}) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    // Only the first line of an inline script is shifted by the column it starts at
+    const column = offset - lineStarts[low] + 1 + (low === 0 ? columnOffset : 0);
+    return { line: low + 1 + lineOffset, column };
+  };
+}
+
+/**
+ * Whether a (possibly partly dynamic) string looks like an endpoint
+ * Absolute http(s)/ws(s) URLs, protocol-relative URLs and root-relative paths
+ * qualify, as do bare paths that start like an API (api/, v1/, rest/, graphql).
+ */
+export function looksLikeUrl(value) {
+  if (typeof value !== 'string' || value.length < 2 || value.length > 2048) return false;
+  if (/\s/.test(value)) return false;
+  if (/^(https?|wss?):\/\/[^/]/i.test(value)) return true;
+  if (/^\/\/[a-z0-9{][a-z0-9.{}-]*\.[a-z{]/i.test(value)) return true;
+  // A dynamic base followed by a path, e.g. {baseUrl}/users
+  if (/^\{[^}]+\}\/[A-Za-z0-9_\-.~%{:]/.test(value)) return true;
+  if (/^\/[A-Za-z0-9_\-.~%{:$@]/.test(value)) {
+    // Leave out things that are clearly not paths: closing tags, regex-ish and date formats
+    return !/^\/(\*|>)/.test(value) && !/^\/[a-z]{1,2}$/i.test(value);
+  }
+  return /^(api|v\d+|rest|graphql|gql)(\/|$|\?)/i.test(value);
+}
+
+// Cooked template text with ${expr} as {expr}, or the constant's value when expr is a known constant
+function templateValue(token, constants = new Map()) {
+  let value = token.parts[0];
+  let dynamic = false;
+  for (let i = 0; i < token.expressions.length; i++) {
+    const expression = token.expressions[i];
+    if (constants.has(expression)) {
+      value += constants.get(expression);
+    } else {
+      value += `{${placeholderName(expression)}}`;
+      dynamic = true;
+    }
+    value += token.parts[i + 1];
+  }
+  return { value, dynamic };
+}
+
+function placeholderName(expression) {
+  const compact = expression.replace(/\s+/g, '');
+  return /^[A-Za-z_$][\w$.]*$/.test(compact) && compact.length <= 40 ? compact : 'expr';
+}
+
+class TokenReader {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.constants = new Map();
+  }
+
+  /**
+   * Record names bound once to a plain string, e.g. const BASE = "/api/v1"
+   * They are substituted into later concatenations; a name bound twice is dropped.
+   */
+  collectConstants() {
+    const seen = new Set();
+    for (let i = 0; i + 3 < this.tokens.length; i++) {
+      if (!['const', 'let', 'var'].includes(this.tokens[i].value) && !this.isPunct(i, ',')) continue;
+      if (!this.isName(i + 1) || !this.isPunct(i + 2, '=')) continue;
+      const name = this.tokens[i + 1].value;
+      const expression = this.readConcatenation(i + 3);
+      const complete = expression && !expression.dynamic &&
+        (!this.tokens[expression.end] || [',', ';', '}'].includes(this.tokens[expression.end].value) || this.tokens[expression.end].type === 'name');
+      if (seen.has(name) || !complete) {
+        this.constants.delete(name);
+      } else {
+        this.constants.set(name, expression.value);
+      }
+      seen.add(name);
+    }
+  }
+
+  // Index of the ( that calls the name at `index`, skipping TypeScript type arguments: get<User>(...)
+  callOpening(index) {
+    if (this.isPunct(index + 1, '(')) return index + 1;
+    if (!this.isPunct(index + 1, '<')) return null;
+    for (let i = index + 2; i < index + 12 && i < this.tokens.length; i++) {
+      const token = this.tokens[i];
+      if (token.type === 'punct' && token.value === '>') return this.isPunct(i + 1, '(') ? i + 1 : null;
+      if (token.type === 'punct' && !['.', ',', '[', ']', '|', '<'].includes(token.value)) return null;
+    }
+    return null;
+  }
+
+  at(index) {
+    return this.tokens[index];
+  }
+
+  isPunct(index, value) {
+    const token = this.tokens[index];
+    return token?.type === 'punct' && token.value === value;
+  }
+
+  isName(index, value = null) {
+    const token = this.tokens[index];
+    return token?.type === 'name' && (value === null || token.value === value);
+  }
+
+  // a.b.c starting at index; returns the dotted text and the index after it
+  readMemberChain(index) {
+    if (!this.isName(index)) return null;
+    const names = [this.tokens[index].value];
+    let i = index + 1;
+    while ((this.isPunct(i, '.') || this.isPunct(i, '?.')) && this.isName(i + 1)) {
+      names.push(this.tokens[i + 1].value);
+      i += 2;
+    }
+    return { text: names.join('.'), end: i };
+  }
+
+  /**
+   * An expression made of literals, templates and member chains joined with +
+   * @returns {{value: string, dynamic: boolean, literal: boolean, start: number, end: number}|null}
+   */
+  readConcatenation(index) {
+    let value = '';
+    let dynamic = false;
+    let literal = false;
+    let i = index;
+    // Wrapping parentheses, e.g. fetch(("/api/" + id))
+    let parens = 0;
+    while (this.isPunct(i, '(')) {
+      parens++;
+      i++;
+    }
+    for (;;) {
+      const token = this.tokens[i];
+      if (!token) break;
+      if (token.type === 'string') {
+        value += token.value;
+        literal = true;
+        i++;
+      } else if (token.type === 'template') {
+        const template = templateValue(token, this.constants);
+        value += template.value;
+        literal = true;
+        dynamic = dynamic || template.dynamic;
+        i++;
+      } else if (token.type === 'number') {
+        value += token.value;
+        i++;
+      } else if (token.type === 'name' && !KEYWORDS_BEFORE_EXPRESSION.has(token.value)) {
+        const chain = this.readMemberChain(i);
+        let end = chain.end;
+        let text = chain.text;
+        // encodeURIComponent(id) and friends stand in for their argument; longer calls end the expression
+        if (this.isPunct(end, '(')) {
+          const close = this.findClosing(end, MAX_CALL_TOKENS);
+          if (close < 0) break;
+          const inner = this.tokens.slice(end + 1, close).map(t => t.value ?? '').join('');
+          text = /^[A-Za-z_$][\w$.]*$/.test(inner) ? inner : text;
+          end = close + 1;
+        }
+        if (end === chain.end && this.constants.has(text)) {
+          value += this.constants.get(text);
+        } else {
+          value += `{${placeholderName(text)}}`;
+          dynamic = true;
+        }
+        i = end;
+      } else {
+        break;
+      }
+      if (!this.isPunct(i, '+')) break;
+      i++;
+    }
+    while (parens > 0 && this.isPunct(i, ')')) {
+      parens--;
+      i++;
+    }
+    if (!literal) return null;
+    return { value, dynamic, literal, start: index, end: i };
+  }
+
+  // Index of the bracket that closes the one at `index`; -1 when it is not within `limit` tokens
+  findClosing(index, limit = Infinity) {
+    const open = this.tokens[index]?.value;
+    const close = { '(': ')', '[': ']', '{': '}' }[open];
+    let depth = 0;
+    const last = Math.min(this.tokens.length, index + limit);
+    for (let i = index; i < last; i++) {
+      const token = this.tokens[i];
+      if (token.type !== 'punct') continue;
+      if (token.value === open) depth++;
+      else if (token.value === close && --depth === 0) return i;
+    }
+    return limit === Infinity ? this.tokens.length : -1;
+  }
+
+  // Literal values of top-level properties in the object literal opening at `index`
+  readObjectProperties(index) {
+    const properties = {};
+    if (!this.isPunct(index, '{')) return properties;
+    const end = this.findClosing(index);
+    let i = index + 1;
+    while (i < end) {
+      const key = this.tokens[i];
+      if ((key.type === 'name' || key.type === 'string') && this.isPunct(i + 1, ':')) {
+        const value = this.readConcatenation(i + 2);
+        if (value) {
+          properties[key.value] = value;
+          i = value.end;
+          continue;
+        }
+      }
+      const token = this.tokens[i];
+      i = token.type === 'punct' && ['(', '[', '{'].includes(token.value) ? this.findClosing(i) + 1 : i + 1;
+    }
+    return properties;
+  }
+}
+
+/**
+ * Find endpoints, API calls, routes and GraphQL documents in JavaScript source
+ * @param {string} source - Script text
+ * @param {Object} options
+ * @param {string} options.file - Reported as the finding's file
+ * @param {number} options.lineOffset - Added to lines (inline scripts)
+ * @param {number} options.columnOffset - Added to columns on the first line
+ * @returns {{findings: Object[], truncated: boolean}}
+ */
+export function extractEndpoints(source, { file = null, lineOffset = 0, columnOffset = 0 } = {}) {
+  const reader = new TokenReader(tokenize(source));
+  reader.collectConstants();
+  const locate = createLocator(source, { lineOffset, columnOffset });
+  const findings = [];
+  // Literals already reported as part of a call or route are not reported again as bare URLs
+  const claimed = new Set();
+
+  const add = (type, token, details) => {
+    if (findings.length >= MAX_FINDINGS) return;
+    findings.push({ type, ...details, file, ...locate(token.start) });
+  };
+  const claim = (expression) => {
+    for (let i = expression.start; i < expression.end; i++) claimed.add(i);
+  };
+  const methodOf = (properties) => properties.method?.value?.toUpperCase() || properties.type?.value?.toUpperCase() || null;
+
+  const tokens = reader.tokens;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    const open = token.type === 'name' ? reader.callOpening(i) : null;
+    if (open !== null) {
+      const previous = tokens[i - 1];
+      const isMember = previous?.type === 'punct' && (previous.value === '.' || previous.value === '?.');
+      const receiver = isMember && tokens[i - 2]?.type === 'name' ? tokens[i - 2].value : null;
+      const isNew = reader.isName(i - 1, 'new');
+      const firstArg = reader.readConcatenation(open + 1);
+      const optionsIndex = firstArg && reader.isPunct(firstArg.end, ',') ? firstArg.end + 1 : null;
+      const name = token.value;
+
+      // fetch(url, { method }) and axios(url | { url, method })
+      if ((name === 'fetch' && (!isMember || ['window', 'self', 'globalThis'].includes(receiver))) || (name === 'axios' && !isMember)) {
+        if (firstArg) {
+          const options = optionsIndex ? reader.readObjectProperties(optionsIndex) : {};
+          add('call', tokens[firstArg.start], { call: name, method: methodOf(options) || 'GET', value: firstArg.value, dynamic: firstArg.dynamic });
+          claim(firstArg);
+        } else if (name === 'axios' && reader.isPunct(open + 1, '{')) {
+          const options = reader.readObjectProperties(open + 1);
+          if (options.url) {
+            add('call', tokens[options.url.start], { call: 'axios', method: methodOf(options) || 'GET', value: options.url.value, dynamic: options.url.dynamic });
+            claim(options.url);
+          }
+        }
+        continue;
+      }
+
+      // $.ajax({ url, type }), $.ajax(url, { type }), axios.request({ url, method })
+      if ((name === 'ajax' && ['$', 'jQuery'].includes(receiver)) || (name === 'request' && receiver === 'axios')) {
+        const options = reader.readObjectProperties(firstArg ? optionsIndex : open + 1);
+        const target = firstArg || options.url;
+        if (target) {
+          add('call', tokens[target.start], { call: name === 'ajax' ? 'jquery' : 'axios', method: methodOf(options) || 'GET', value: target.value, dynamic: target.dynamic });
+          claim(target);
+        }
+        continue;
+      }
+
+      // xhr.open("POST", url)
+      if (name === 'open' && isMember && firstArg && !firstArg.dynamic && /^[A-Za-z]+$/.test(firstArg.value) && optionsIndex) {
+        const target = reader.readConcatenation(optionsIndex);
+        if (target) {
+          add('call', tokens[target.start], { call: 'xhr', method: firstArg.value.toUpperCase(), value: target.value, dynamic: target.dynamic });
+          claim(firstArg);
+          claim(target);
+        }
+        continue;
+      }
+
+      // new WebSocket(url), new EventSource(url), navigator.sendBeacon(url)
+      if (firstArg && ((isNew && ['WebSocket', 'EventSource'].includes(name)) || (name === 'sendBeacon' && isMember))) {
+        const call = { WebSocket: 'websocket', EventSource: 'eventsource', sendBeacon: 'beacon' }[name];
+        add('call', tokens[firstArg.start], { call, method: call === 'beacon' ? 'POST' : 'GET', value: firstArg.value, dynamic: firstArg.dynamic });
+        claim(firstArg);
+        continue;
+      }
+
+      // app.get('/users', handler) defines a route; client.get('/users') calls one
+      if (isMember && firstArg && [...HTTP_METHOD_NAMES, 'getJSON', 'all', 'use'].includes(name)) {
+        if (receiver && ROUTER_RECEIVERS.test(receiver) && firstArg.value.startsWith('/')) {
+          add('route', tokens[firstArg.start], { method: ['all', 'use'].includes(name) ? null : name.toUpperCase(), value: firstArg.value, dynamic: firstArg.dynamic, framework: 'express' });
+          claim(firstArg);
+        } else if (HTTP_METHOD_NAMES.includes(name) || name === 'getJSON') {
+          if (looksLikeUrl(firstArg.value)) {
+            add('call', tokens[firstArg.start], { call: receiver === 'axios' ? 'axios' : ['$', 'jQuery'].includes(receiver) ? 'jquery' : 'http_client', method: name === 'getJSON' ? 'GET' : name.toUpperCase(), value: firstArg.value, dynamic: firstArg.dynamic });
+            claim(firstArg);
+          }
+        }
+        continue;
+      }
+    }
+
+    // { path: '/users/:id', component: ... } in React Router, Vue Router and Angular route tables
+    if (token.type === 'name' || token.type === 'string') {
+      if (['path', 'route'].includes(token.value) && reader.isPunct(i + 1, ':') &&
+          (reader.isPunct(i - 1, '{') || reader.isPunct(i - 1, ','))) {
+        const value = reader.readConcatenation(i + 2);
+        if (value && value.value && value.value !== '**' && !/\s/.test(value.value)) {
+          add('route', tokens[value.start], { method: null, value: value.value, dynamic: value.dynamic, framework: 'router' });
+          claim(value);
+        }
+        continue;
+      }
+    }
+
+    // <Route path="/users/:id" ...> in JSX sources
+    if (reader.isName(i, 'path') && reader.isPunct(i + 1, '=') && tokens[i + 2]?.type === 'string') {
+      let j = i - 1;
+      while (j >= 0 && i - j < 12 && !(tokens[j].type === 'punct' && [';', '>', '}'].includes(tokens[j].value)) && !reader.isPunct(j, '<')) j--;
+      if (reader.isPunct(j, '<') && reader.isName(j + 1)) {
+        add('route', tokens[i + 2], { method: null, value: tokens[i + 2].value, dynamic: false, framework: 'jsx' });
+        claimed.add(i + 2);
+      }
+      continue;
+    }
+
+    // gql`query GetUser { ... }`
+    if (token.type === 'name' && ['gql', 'graphql'].includes(token.value) && tokens[i + 1]?.type === 'template') {
+      const text = templateValue(tokens[i + 1]).value.replace(/\s+/g, ' ').trim();
+      const header = text.match(/^(query|mutation|subscription|fragment)\s*[A-Za-z_]*/);
+      add('graphql', tokens[i + 1], { value: header ? header[0] : text.slice(0, 80), document: text.slice(0, 500) });
+      claimed.add(i + 1);
+      continue;
+    }
+  }
+
+  // Every remaining URL-like literal or concatenation
+  for (let i = 0; i < tokens.length; i++) {
+    if (claimed.has(i) || !['string', 'template', 'name'].includes(tokens[i].type)) continue;
+    const expression = reader.readConcatenation(i);
+    if (!expression) continue;
+    const skipTo = expression.end - 1;
+    let overlapsClaim = false;
+    for (let k = expression.start; k < expression.end && !overlapsClaim; k++) overlapsClaim = claimed.has(k);
+    if (overlapsClaim) continue;
+    if (looksLikeUrl(expression.value)) {
+      // Prefix with {expr} when the literal continues an expression we could not read, e.g. f() + "/users"
+      const continued = reader.isPunct(i - 1, '+');
+      const value = continued && !expression.value.startsWith('{') ? `{expr}${expression.value}` : expression.value;
+      add('url', tokens[i], { value, dynamic: expression.dynamic || continued });
+    }
+    i = skipTo;
+  }
+
+  findings.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { findings, truncated: findings.length >= MAX_FINDINGS };
+}
+
+/**
+ * Compile user search patterns sent as strings
+ * "/api\/v\d+/i" is read as a regex literal with flags; anything else is the
+ * pattern source. The g flag is always added so every match is found.
+ * @param {string[]} patterns
+ * @returns {{compiled: {source: string, regex: RegExp}[], errors: {pattern: string, error: string}[]}}
+ */
+export function compileSearchPatterns(patterns) {
+  const compiled = [];
+  const errors = [];
+  for (const pattern of patterns || []) {
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+      errors.push({ pattern: String(pattern), error: 'Pattern must be a non-empty string' });
+      continue;
+    }
+    const literal = pattern.match(/^\/(.+)\/([a-z]*)$/s);
+    const body = literal ? literal[1] : pattern;
+    const flags = literal ? literal[2] : '';
+    try {
+      const regex = new RegExp(body, flags.includes('g') ? flags : `${flags}g`);
+      compiled.push({ source: pattern, regex });
+    } catch (error) {
+      errors.push({ pattern, error: error.message });
+    }
+  }
+  return { compiled, errors };
+}
+
+/**
+ * Run compiled search patterns over a source
+ * The first capture group is reported when the pattern has one, the whole match otherwise.
+ */
+export function searchSource(source, compiled, { file = null, lineOffset = 0, columnOffset = 0 } = {}) {
+  const locate = createLocator(source, { lineOffset, columnOffset });
+  const matches = [];
+  for (const { source: pattern, regex } of compiled) {
+    regex.lastIndex = 0;
+    for (const match of source.matchAll(regex)) {
+      if (match[0] === '' && match.length === 1) continue;
+      const captured = match.slice(1).find(group => group !== undefined);
+      matches.push({ pattern, value: captured !== undefined ? captured : match[0], file, ...locate(match.index) });
+      if (matches.length >= MAX_FINDINGS) return matches;
+    }
+  }
+  return matches;
+}
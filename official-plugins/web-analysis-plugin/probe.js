@@ -0,0 +1,223 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Building blocks for probe_api_endpoints
+ * A worker pool with a shared requests-per-second limiter, retry delays for
+ * 429/503 that honour Retry-After, soft-404 baselines taken from paths that
+ * cannot exist, wordlist loading through the filesystem sandbox, and the
+ * path variants and result grouping used when fuzzing.
+ */
+
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { checkPath } from '../shared/sandbox.js';
+
+export const RETRY_STATUS_CODES = [429, 503];
+export const DEFAULT_VARIANT_SUFFIXES = ['.json', '.bak', '~', '.old'];
+export const INTERESTING_STATUS_CODES = [401, 403];
+
+const MAX_RETRY_DELAY_MS = 60000;
+const BASE_RETRY_DELAY_MS = 1000;
+const SOFT_404_FUZZY_MIN_LENGTH = 256;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Shared pacing for all workers
+ * Each request takes the next free slot, spaced 1/rps apart, plus up to
+ * jitterMs of random delay so the traffic has no fixed rhythm. pause() holds
+ * every worker back, e.g. while a server is answering 429.
+ * @param {Object} options
+ * @param {number} options.requestsPerSecond - 0 for no limit
+ * @param {number} options.jitterMs - Maximum random delay added to each request
+ */
+export function createRateLimiter({ requestsPerSecond = 0, jitterMs = 0 } = {}) {
+  const interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  let nextSlot = 0;
+  let pausedUntil = 0;
+
+  return {
+    async wait() {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + interval;
+      const delay = slot - now + (jitterMs > 0 ? Math.random() * jitterMs : 0);
+      if (delay > 0) await sleep(delay);
+      // A pause that started while this request was queued still applies
+      while (Date.now() < pausedUntil) {
+        await sleep(pausedUntil - Date.now());
+      }
+    },
+
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    }
+  };
+}
+
+/**
+ * Run worker over every item with at most `concurrency` in flight
+ * @returns {Promise<Array>} Worker results in item order
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * How long to wait before retrying a 429/503
+ * @param {string|undefined} retryAfter - Retry-After header: seconds or an HTTP date
+ * @param {number} attempt - Retries already made (0 for the first)
+ * @returns {number} Delay in milliseconds
+ */
+export function retryDelayMs(retryAfter, attempt) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(delay)) return Math.min(MAX_RETRY_DELAY_MS, Math.max(0, delay));
+  }
+  // Exponential backoff with up to 25% jitter
+  const backoff = BASE_RETRY_DELAY_MS * 2 ** attempt;
+  return Math.min(MAX_RETRY_DELAY_MS, backoff + Math.random() * backoff * 0.25);
+}
+
+/**
+ * Load probe paths from a wordlist inside the workspace
+ * Blank lines and # comments are skipped and every entry gets a leading slash
+ * @param {string} filePath - Wordlist path
+ * @returns {Promise<string[]>}
+ */
+export async function readWordlist(filePath) {
+  const check = await checkPath(filePath, 'read');
+  if (!check.allowed) {
+    const error = new Error(`Wordlist refused: ${check.error}`);
+    error.errorCode = check.error_code;
+    throw error;
+  }
+  const content = await fs.readFile(check.realPath, 'utf-8');
+  const paths = [];
+  for (const line of content.split(/\r?\n/)) {
+    const entry = line.trim();
+    if (!entry || entry.startsWith('#')) continue;
+    paths.push(entry.startsWith('/') ? entry : `/${entry}`);
+  }
+  return paths;
+}
+
+/**
+ * Resolve a probe path against the path of base_url
+ * /api/v1 + /users gives /api/v1/users; a base of / leaves the path unchanged
+ */
+export function joinBasePath(basePath, path) {
+  const prefix = basePath.replace(/\/+$/, '');
+  return `${prefix}${path.startsWith('/') ? path : `/${path}`}`;
+}
+
+/**
+ * Extension and backup variants of a path
+ * /config/ gives /config.json, /config.bak, ... The root path has no variants.
+ * @param {string} path - Probe path
+ * @param {string[]} suffixes - Appended to the path without its trailing slash
+ */
+export function pathVariants(path, suffixes) {
+  const stem = path.replace(/\/+$/, '');
+  if (!stem) return [];
+  return suffixes.map(suffix => `${stem}${suffix}`);
+}
+
+// Pages often echo the requested path back, so it is blanked before comparing bodies
+function bodyFingerprint(response, path) {
+  // Only the start of a capped body was kept, so the whole body's length and hash stand in, path and all
+  if (response.body_truncated) return { length: response.body_length, hash: response.body_sha256 };
+  let normalized = response.body || '';
+  for (const variant of new Set([path, encodeURI(path), path.replace(/^\//, '')])) {
+    if (variant) normalized = normalized.split(variant).join('');
+  }
+  return {
+    length: normalized.length,
+    hash: crypto.createHash('sha256').update(normalized).digest('hex')
+  };
+}
+
+/**
+ * Paths that cannot exist, in the shapes servers tend to treat differently:
+ * a bare name, a file with an extension and a directory
+ */
+export function baselinePaths() {
+  const token = () => crypto.randomBytes(8).toString('hex');
+  return [`/${token()}`, `/${token()}.php`, `/${token()}/`];
+}
+
+/**
+ * Describe how the server answers a path that does not exist
+ * @param {string} path - The random path that was requested
+ * @param {string} method - The method it was requested with
+ * @param {Object} response - Parsed makeWebRequest result
+ */
+export function describeBaseline(path, method, response) {
+  return {
+    path: path,
+    method: method,
+    status_code: response.status_code,
+    content_type: response.headers?.['content-type'] || null,
+    ...bodyFingerprint(response, path)
+  };
+}
+
+/**
+ * Whether a response looks like one of the not-found baselines
+ * Method, status and content type must match, and the body must be identical
+ * after removing the path. Bodies of a few hundred characters or more may
+ * also differ in length by up to 2%, to allow for timestamps and tokens.
+ * @returns {Object|null} The matching baseline
+ */
+export function matchSoft404(path, method, response, baselines) {
+  const fingerprint = bodyFingerprint(response, path);
+  const contentType = response.headers?.['content-type'] || null;
+  return baselines.find((baseline) => {
+    if (baseline.method !== method) return false;
+    if (baseline.status_code !== response.status_code || baseline.content_type !== contentType) return false;
+    if (baseline.hash === fingerprint.hash) return true;
+    return baseline.length >= SOFT_404_FUZZY_MIN_LENGTH &&
+      Math.abs(baseline.length - fingerprint.length) <= baseline.length * 0.02;
+  }) || null;
+}
+
+/**
+ * Group probe results by status code and content type, largest group first
+ * Errors (no status code) are left out; they are counted in stats instead.
+ * @returns {{status_code: number, content_type: string, count: number, urls: string[]}[]}
+ */
+export function groupResults(results) {
+  const groups = new Map();
+  for (const result of results) {
+    if (typeof result.status_code !== 'number') continue;
+    // Parameters such as charset do not make a response a different kind
+    const contentType = (result.content_type || 'unknown').split(';')[0].trim().toLowerCase();
+    const key = `${result.status_code} ${contentType}`;
+    if (!groups.has(key)) {
+      groups.set(key, { status_code: result.status_code, content_type: contentType, count: 0, urls: [] });
+    }
+    const group = groups.get(key);
+    group.count++;
+    group.urls.push(result.method === 'GET' ? result.url : `${result.method} ${result.url}`);
+  }
+  return [...groups.values()].sort((a, b) => b.count - a.count || a.status_code - b.status_code);
+}
@@ -0,0 +1,567 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * API schema ingestion for ingest_api_schema
+ * Turns OpenAPI 2 (Swagger), OpenAPI 3 and GraphQL introspection documents
+ * into one endpoint inventory, and builds a web_request argument object for
+ * every operation. Only JSON documents are read; there is no YAML parser.
+ * Only local $refs (#/...) are followed.
+ */
+
+export const INTROSPECTION_QUERY = `query IntrospectionQuery {
+  __schema {
+    queryType { name }
+    mutationType { name }
+    subscriptionType { name }
+    types {
+      kind name
+      fields(includeDeprecated: true) { name args { name type { ...TypeRef } defaultValue } type { ...TypeRef } isDeprecated }
+      inputFields { name type { ...TypeRef } defaultValue }
+      enumValues(includeDeprecated: true) { name }
+      possibleTypes { name }
+    }
+  }
+}
+fragment TypeRef on __Type {
+  kind name
+  ofType { kind name ofType { kind name ofType { kind name ofType { kind name ofType { kind name ofType { kind name } } } } } }
+}`;
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const MAX_EXAMPLE_DEPTH = 6;
+const MAX_SELECTION_DEPTH = 2;
+
+function schemaError(message, errorCode) {
+  const error = new Error(message);
+  error.errorCode = errorCode;
+  return error;
+}
+
+/**
+ * Parse a schema document and work out what it is
+ * @param {string} text - Document body
+ * @returns {{type: string, doc: Object}} type is 'swagger', 'openapi' or 'graphql'
+ */
+export function parseSchemaDocument(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    if (/^\s*(---|openapi\s*:|swagger\s*:|info\s*:|paths\s*:)/m.test(text)) {
+      throw schemaError('The document looks like YAML, which is not supported. Convert it to JSON first (most servers also serve /openapi.json or /v3/api-docs).', 'YAML_NOT_SUPPORTED');
+    }
+    if (/^\s*</.test(text)) {
+      throw schemaError('The document is HTML, not a schema. Documentation pages load the schema from a separate URL such as /openapi.json, /swagger.json, /v2/api-docs or /v3/api-docs.', 'NOT_A_SCHEMA');
+    }
+    throw schemaError(`Invalid JSON: ${error.message}`, 'INVALID_SCHEMA');
+  }
+  return { type: detectSchemaType(doc), doc };
+}
+
+/**
+ * @returns {string|null} 'swagger', 'openapi', 'graphql' or null
+ */
+export function detectSchemaType(doc) {
+  if (!doc || typeof doc !== 'object') return null;
+  if (typeof doc.swagger === 'string') return 'swagger';
+  if (typeof doc.openapi === 'string') return 'openapi';
+  if (doc.__schema || doc.data?.__schema) return 'graphql';
+  return null;
+}
+
+// ----- OpenAPI -----
+
+function resolvePointer(doc, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) return undefined;
+  let node = doc;
+  for (const raw of ref.slice(2).split('/')) {
+    const key = decodeURIComponent(raw).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (node === null || typeof node !== 'object' || !(key in node)) return undefined;
+    node = node[key];
+  }
+  return node;
+}
+
+// Follow a chain of $refs; unresolvable (external) refs come back as they are
+function deref(doc, node, seen = new Set()) {
+  while (node && typeof node === 'object' && typeof node.$ref === 'string') {
+    if (seen.has(node.$ref)) return {};
+    seen.add(node.$ref);
+    const target = resolvePointer(doc, node.$ref);
+    if (target === undefined) return node;
+    node = target;
+  }
+  return node;
+}
+
+function stringExample(schema) {
+  switch (schema.format) {
+    case 'date-time': return '2024-01-01T00:00:00Z';
+    case 'date': return '2024-01-01';
+    case 'email': return 'user@example.com';
+    case 'uuid': return '00000000-0000-0000-0000-000000000000';
+    case 'uri':
+    case 'url': return 'https://example.com';
+    case 'ipv4': return '127.0.0.1';
+    case 'password': return 'password';
+    case 'byte': return 'ZXhhbXBsZQ==';
+    case 'binary': return '';
+    default: return schema.minLength > 6 ? 'x'.repeat(schema.minLength) : 'string';
+  }
+}
+
+/**
+ * Example value for a JSON schema
+ * Uses example/default/enum/const when present and builds a value from the
+ * type otherwise. Recursive schemas stop at the first repeat.
+ */
+export function exampleFromSchema(doc, schema, depth = 0, seen = new Set()) {
+  if (!schema || typeof schema !== 'object' || depth > MAX_EXAMPLE_DEPTH) return null;
+  if (schema.$ref) {
+    if (seen.has(schema.$ref)) return null;
+    const resolved = deref(doc, schema);
+    if (resolved === schema) return null;
+    return exampleFromSchema(doc, resolved, depth, new Set([...seen, schema.$ref]));
+  }
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+  if (schema.default !== undefined) return schema.default;
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+  if (Array.isArray(schema.allOf)) {
+    const merged = {};
+    for (const part of schema.allOf) {
+      const value = exampleFromSchema(doc, part, depth + 1, seen);
+      if (value && typeof value === 'object' && !Array.isArray(value)) Object.assign(merged, value);
+    }
+    return merged;
+  }
+  const alternatives = schema.oneOf || schema.anyOf;
+  if (Array.isArray(alternatives) && alternatives.length > 0) {
+    return exampleFromSchema(doc, alternatives[0], depth + 1, seen);
+  }
+
+  // OpenAPI 3.1 allows a list of types, e.g. ["string", "null"]
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+  if (type === 'object' || (!type && schema.properties)) {
+    const value = {};
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      if (deref(doc, property)?.readOnly) continue;
+      value[name] = exampleFromSchema(doc, property, depth + 1, seen);
+    }
+    return value;
+  }
+  if (type === 'array') {
+    const item = exampleFromSchema(doc, schema.items, depth + 1, seen);
+    return item === null ? [] : [item];
+  }
+  if (type === 'integer' || type === 'number') return schema.minimum !== undefined ? schema.minimum : 1;
+  if (type === 'boolean') return true;
+  if (type === 'string') return stringExample(schema);
+  return null;
+}
+
+function typeLabel(doc, schema) {
+  const resolved = deref(doc, schema);
+  if (!resolved || typeof resolved !== 'object') return null;
+  if (resolved.type === 'array') return `array<${typeLabel(doc, resolved.items) || 'any'}>`;
+  const type = Array.isArray(resolved.type) ? resolved.type.join('|') : resolved.type;
+  if (!type) return resolved.properties ? 'object' : null;
+  return resolved.format ? `${type}(${resolved.format})` : type;
+}
+
+function substituteServerVariables(server) {
+  return (server.url || '').replace(/\{([^}]+)\}/g, (match, name) => {
+    const variable = server.variables?.[name];
+    return variable?.default !== undefined ? String(variable.default) : match;
+  });
+}
+
+/**
+ * Whether the document's first server is only a path, e.g. "/api/v2"
+ * Such servers take their scheme and host from where the document came from.
+ */
+export function firstServerIsRelative(doc, type) {
+  if (type === 'swagger') return !doc.host;
+  const first = doc.servers?.length ? doc.servers[0] : { url: '/' };
+  return !/^[a-z][a-z0-9+.-]*:\/\//i.test(substituteServerVariables(first));
+}
+
+/**
+ * Absolute base URLs the document declares
+ * Relative server URLs are resolved against the URL the document came from.
+ */
+function openApiServers(doc, type, sourceUrl) {
+  const servers = [];
+  if (type === 'swagger') {
+    if (doc.host || sourceUrl) {
+      const source = sourceUrl ? new URL(sourceUrl) : null;
+      const schemes = doc.schemes?.length ? doc.schemes : [source ? source.protocol.replace(':', '') : 'https'];
+      const host = doc.host || source.host;
+      for (const scheme of schemes) servers.push(`${scheme}://${host}${(doc.basePath || '').replace(/\/+$/, '')}`);
+    }
+    return servers;
+  }
+  for (const server of doc.servers?.length ? doc.servers : [{ url: '/' }]) {
+    const url = substituteServerVariables(server);
+    try {
+      servers.push(new URL(url, sourceUrl ?? undefined).href.replace(/\/+$/, ''));
+    } catch (error) {
+      // Relative server with no source URL to resolve it against
+    }
+  }
+  return servers;
+}
+
+function describeSecuritySchemes(doc, type) {
+  const schemes = type === 'swagger' ? doc.securityDefinitions : doc.components?.securitySchemes;
+  return Object.entries(schemes || {}).map(([name, raw]) => {
+    const scheme = deref(doc, raw);
+    const description = { name: name, type: scheme.type };
+    if (scheme.scheme) description.scheme = scheme.scheme.toLowerCase();
+    if (scheme.bearerFormat) description.bearer_format = scheme.bearerFormat;
+    if (scheme.in) description.in = scheme.in;
+    if (scheme.type === 'apiKey') description.parameter_name = scheme.name;
+    if (scheme.flow) description.flows = [scheme.flow];
+    if (scheme.flows) description.flows = Object.keys(scheme.flows);
+    const tokenUrl = scheme.tokenUrl || Object.values(scheme.flows || {}).find(flow => flow.tokenUrl)?.tokenUrl;
+    if (tokenUrl) description.token_url = tokenUrl;
+    if (scheme.openIdConnectUrl) description.openid_connect_url = scheme.openIdConnectUrl;
+    return description;
+  });
+}
+
+function describeParameter(doc, raw) {
+  const parameter = deref(doc, raw);
+  // Swagger 2 puts the type on the parameter, OpenAPI 3 in a schema
+  const schema = parameter.schema || parameter;
+  let example = parameter.example;
+  if (example === undefined && parameter.examples) {
+    const first = Object.values(parameter.examples)[0];
+    example = deref(doc, first)?.value;
+  }
+  if (example === undefined) example = exampleFromSchema(doc, parameter.schema || { ...parameter, example: undefined, in: undefined });
+  return {
+    name: parameter.name,
+    in: parameter.in,
+    required: Boolean(parameter.required || parameter.in === 'path'),
+    type: typeLabel(doc, schema),
+    example: example
+  };
+}
+
+const CONTENT_TYPE_PREFERENCE = [
+  /^application\/json/i,
+  /\+json$/i,
+  /^application\/x-www-form-urlencoded/i,
+  /^multipart\/form-data/i
+];
+
+function pickContentType(types) {
+  for (const pattern of CONTENT_TYPE_PREFERENCE) {
+    const match = types.find(type => pattern.test(type));
+    if (match) return match;
+  }
+  return types[0];
+}
+
+function describeRequestBody(doc, type, operation, parameters) {
+  if (type === 'swagger') {
+    const bodyParameter = parameters.find(p => p.in === 'body');
+    if (bodyParameter) {
+      const contentType = pickContentType(operation.consumes || doc.consumes || ['application/json']);
+      return { content_type: contentType, required: Boolean(bodyParameter.required), example: exampleFromSchema(doc, bodyParameter.schema) };
+    }
+    const formFields = parameters.filter(p => p.in === 'formData');
+    if (formFields.length === 0) return null;
+    const consumes = operation.consumes || doc.consumes || [];
+    const contentType = formFields.some(p => p.type === 'file') || consumes.some(c => /multipart/i.test(c))
+      ? 'multipart/form-data'
+      : 'application/x-www-form-urlencoded';
+    const example = {};
+    for (const field of formFields) example[field.name] = field.type === 'file' ? '' : exampleFromSchema(doc, field);
+    return { content_type: contentType, required: formFields.some(p => p.required), example: example };
+  }
+
+  const requestBody = deref(doc, operation.requestBody);
+  if (!requestBody?.content) return null;
+  const contentType = pickContentType(Object.keys(requestBody.content));
+  if (!contentType) return null;
+  const media = requestBody.content[contentType] || {};
+  let example = media.example;
+  if (example === undefined && media.examples) example = deref(doc, Object.values(media.examples)[0])?.value;
+  if (example === undefined) example = exampleFromSchema(doc, media.schema);
+  return { content_type: contentType, required: Boolean(requestBody.required), example: example };
+}
+
+// Swagger 2 body and formData parameters become the request body, not inventory parameters
+function mergeParameters(doc, pathLevel = [], operationLevel = []) {
+  const merged = new Map();
+  for (const raw of [...pathLevel, ...operationLevel]) {
+    const parameter = deref(doc, raw);
+    if (parameter?.name) merged.set(`${parameter.in}:${parameter.name}`, parameter);
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Normalize an OpenAPI 2 or 3 document
+ * @param {Object} doc - Parsed document
+ * @param {string} type - 'swagger' or 'openapi'
+ * @param {string|null} sourceUrl - Where the document was fetched from, for relative servers
+ */
+export function parseOpenApi(doc, type, sourceUrl = null) {
+  const authSchemes = describeSecuritySchemes(doc, type);
+  const operations = [];
+
+  for (const [path, rawItem] of Object.entries(doc.paths || {})) {
+    const item = deref(doc, rawItem);
+    if (!item || typeof item !== 'object') continue;
+    for (const method of HTTP_METHODS) {
+      const operation = item[method];
+      if (!operation) continue;
+      const rawParameters = mergeParameters(doc, item.parameters, operation.parameters);
+      const requestBody = describeRequestBody(doc, type, operation, rawParameters);
+      const parameters = rawParameters
+        .filter(p => p.in !== 'body' && p.in !== 'formData')
+        .map(p => describeParameter(doc, p));
+      const security = operation.security || doc.security || [];
+      operations.push({
+        method: method.toUpperCase(),
+        path: path,
+        operation_id: operation.operationId || null,
+        summary: operation.summary || operation.description?.split('\n')[0] || null,
+        tags: operation.tags || [],
+        deprecated: Boolean(operation.deprecated),
+        parameters: parameters,
+        request_body: requestBody,
+        // Each entry is one way to authenticate; an empty requirement object means anonymous access is allowed
+        auth: security.map(requirement => Object.keys(requirement)),
+        responses: Object.keys(operation.responses || {})
+      });
+    }
+  }
+
+  return {
+    spec_version: type === 'swagger' ? doc.swagger : doc.openapi,
+    title: doc.info?.title || null,
+    api_version: doc.info?.version || null,
+    servers: openApiServers(doc, type, sourceUrl),
+    auth_schemes: authSchemes,
+    operations: operations
+  };
+}
+
+function authPlaceholders(operation, authSchemes) {
+  const headers = {};
+  const query = {};
+  const cookies = [];
+  // The first requirement is enough; schemes listed together in it are all needed
+  for (const name of operation.auth[0] || []) {
+    const scheme = authSchemes.find(s => s.name === name);
+    if (!scheme) continue;
+    if (scheme.type === 'apiKey') {
+      const placeholder = `<${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}>`;
+      if (scheme.in === 'header') headers[scheme.parameter_name] = placeholder;
+      else if (scheme.in === 'query') query[scheme.parameter_name] = placeholder;
+      else if (scheme.in === 'cookie') cookies.push(`${scheme.parameter_name}=${placeholder}`);
+    } else if ((scheme.type === 'http' && scheme.scheme === 'basic') || scheme.type === 'basic') {
+      headers['Authorization'] = 'Basic <BASE64_USER_PASS>';
+    } else if (scheme.type === 'http') {
+      headers['Authorization'] = `${scheme.scheme === 'bearer' ? 'Bearer' : scheme.scheme} <TOKEN>`;
+    } else if (['oauth2', 'openIdConnect'].includes(scheme.type)) {
+      headers['Authorization'] = 'Bearer <TOKEN>';
+    }
+  }
+  return { headers, query, cookies };
+}
+
+function stringValue(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * web_request arguments for one OpenAPI operation
+ * Path and required query/header/cookie parameters are filled with their
+ * examples, credentials with <PLACEHOLDER> values.
+ */
+export function openApiWebRequest(operation, baseUrl, authSchemes) {
+  const pathname = operation.path.replace(/\{([^}]+)\}/g, (match, name) => {
+    const parameter = operation.parameters.find(p => p.in === 'path' && p.name === name);
+    return parameter ? encodeURIComponent(stringValue(parameter.example ?? 1)) : match;
+  });
+  const url = new URL(`${baseUrl.replace(/\/+$/, '')}${pathname}`);
+  const auth = authPlaceholders(operation, authSchemes);
+  const headers = { ...auth.headers };
+  const cookies = [...auth.cookies];
+
+  for (const parameter of operation.parameters.filter(p => p.required)) {
+    if (parameter.in === 'query') {
+      const values = Array.isArray(parameter.example) ? parameter.example : [parameter.example];
+      for (const value of values) url.searchParams.append(parameter.name, stringValue(value));
+    } else if (parameter.in === 'header') {
+      headers[parameter.name] = stringValue(parameter.example);
+    } else if (parameter.in === 'cookie') {
+      cookies.push(`${parameter.name}=${stringValue(parameter.example)}`);
+    }
+  }
+  for (const [name, value] of Object.entries(auth.query)) url.searchParams.set(name, value);
+  if (cookies.length > 0) headers['Cookie'] = cookies.join('; ');
+
+  const args = { url: url.href, method: operation.method };
+  const body = operation.request_body;
+  if (body) {
+    if (/json/i.test(body.content_type)) {
+      args.json = body.example;
+      if (!/^application\/json/i.test(body.content_type)) headers['Content-Type'] = body.content_type;
+    } else if (/x-www-form-urlencoded/i.test(body.content_type) && body.example && typeof body.example === 'object') {
+      args.form = body.example;
+    } else if (/multipart\/form-data/i.test(body.content_type) && body.example && typeof body.example === 'object') {
+      args.multipart = Object.entries(body.example).map(([name, value]) =>
+        value === '' ? { name, filename: `${name}.bin`, content: '' } : { name, value: stringValue(value) });
+    } else {
+      args.data = stringValue(body.example);
+      headers['Content-Type'] = body.content_type;
+    }
+  }
+  if (Object.keys(headers).length > 0) args.headers = headers;
+  return args;
+}
+
+// ----- GraphQL -----
+
+function typeRefString(ref) {
+  if (!ref) return 'Unknown';
+  if (ref.kind === 'NON_NULL') return `${typeRefString(ref.ofType)}!`;
+  if (ref.kind === 'LIST') return `[${typeRefString(ref.ofType)}]`;
+  return ref.name;
+}
+
+function namedType(ref) {
+  while (ref && !ref.name) ref = ref.ofType;
+  return ref?.name || null;
+}
+
+function graphqlExample(types, ref, depth = 0) {
+  if (!ref || depth > MAX_EXAMPLE_DEPTH) return null;
+  if (ref.kind === 'NON_NULL') return graphqlExample(types, ref.ofType, depth);
+  if (ref.kind === 'LIST') {
+    const item = graphqlExample(types, ref.ofType, depth + 1);
+    return item === null ? [] : [item];
+  }
+  switch (ref.name) {
+    case 'ID': return '1';
+    case 'String': return 'string';
+    case 'Int': return 1;
+    case 'Float': return 1.5;
+    case 'Boolean': return true;
+  }
+  const type = types.get(ref.name);
+  if (type?.kind === 'ENUM') return type.enumValues?.[0]?.name ?? null;
+  if (type?.kind === 'INPUT_OBJECT') {
+    const value = {};
+    // Optional input fields are left out so the example stays valid
+    for (const field of type.inputFields || []) {
+      if (field.type?.kind === 'NON_NULL') value[field.name] = graphqlExample(types, field.type, depth + 1);
+    }
+    return value;
+  }
+  return 'string';
+}
+
+// Scalars and enums at the top, nested objects one level down, __typename when nothing else is selectable
+function selectionSet(types, typeName, depth = 0) {
+  const type = types.get(typeName);
+  if (!type || !['OBJECT', 'INTERFACE', 'UNION'].includes(type.kind)) return '';
+  const selections = [];
+  for (const field of type.fields || []) {
+    if (field.args?.some(arg => arg.type?.kind === 'NON_NULL')) continue;
+    const fieldType = types.get(namedType(field.type));
+    if (!fieldType || ['SCALAR', 'ENUM'].includes(fieldType.kind)) {
+      selections.push(field.name);
+    } else if (depth < MAX_SELECTION_DEPTH - 1) {
+      const nested = selectionSet(types, fieldType.name, depth + 1);
+      if (nested) selections.push(`${field.name} ${nested}`);
+    }
+  }
+  if (selections.length === 0) selections.push('__typename');
+  return `{ ${selections.join(' ')} }`;
+}
+
+/**
+ * Normalize a GraphQL introspection result
+ * Every root field becomes an operation with a query document and example variables.
+ * @param {Object} doc - {data: {__schema}} or {__schema}
+ */
+export function parseGraphqlIntrospection(doc) {
+  const schema = doc.data?.__schema || doc.__schema;
+  const types = new Map((schema.types || []).map(type => [type.name, type]));
+  const roots = [
+    ['query', schema.queryType?.name],
+    ['mutation', schema.mutationType?.name],
+    ['subscription', schema.subscriptionType?.name]
+  ];
+  const operations = [];
+
+  for (const [operationType, rootName] of roots) {
+    const root = rootName ? types.get(rootName) : null;
+    for (const field of root?.fields || []) {
+      const args = (field.args || []).map(arg => ({
+        name: arg.name,
+        type: typeRefString(arg.type),
+        required: arg.type?.kind === 'NON_NULL' && arg.defaultValue == null
+      }));
+      const variables = {};
+      for (const arg of field.args || []) {
+        if (arg.type?.kind === 'NON_NULL' && arg.defaultValue == null) variables[arg.name] = graphqlExample(types, arg.type);
+      }
+      const declared = Object.keys(variables);
+      const signature = declared.length > 0
+        ? `(${declared.map(name => `$${name}: ${args.find(a => a.name === name).type}`).join(', ')})`
+        : '';
+      const callArgs = declared.length > 0 ? `(${declared.map(name => `${name}: $${name}`).join(', ')})` : '';
+      const selection = selectionSet(types, namedType(field.type));
+      const operationName = `${field.name.charAt(0).toUpperCase()}${field.name.slice(1)}`;
+      operations.push({
+        operation_type: operationType,
+        name: field.name,
+        args: args,
+        return_type: typeRefString(field.type),
+        deprecated: Boolean(field.isDeprecated),
+        query: `${operationType} ${operationName}${signature} { ${field.name}${callArgs}${selection ? ` ${selection}` : ''} }`,
+        variables: variables
+      });
+    }
+  }
+
+  const userTypes = [...types.values()].filter(type => !type.name.startsWith('__'));
+  return {
+    type_count: userTypes.length,
+    types: {
+      objects: userTypes.filter(t => t.kind === 'OBJECT' && !roots.some(([, name]) => name === t.name)).map(t => t.name),
+      input_objects: userTypes.filter(t => t.kind === 'INPUT_OBJECT').map(t => t.name),
+      enums: userTypes.filter(t => t.kind === 'ENUM').map(t => t.name)
+    },
+    operations: operations
+  };
+}
+
+/**
+ * web_request arguments for one GraphQL operation
+ * Subscriptions need a WebSocket and get none.
+ */
+export function graphqlWebRequest(operation, endpoint) {
+  if (operation.operation_type === 'subscription') return null;
+  const json = { query: operation.query };
+  if (Object.keys(operation.variables).length > 0) json.variables = operation.variables;
+  return { url: endpoint, method: 'POST', json: json };
+}
@@ -0,0 +1,89 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Source map recovery for analyze_javascript
+ * Finds a bundle's source map (SourceMap header or sourceMappingURL comment),
+ * decodes inline data: maps and returns the original sources embedded in
+ * sourcesContent. Positions in the originals are used as-is, so the
+ * mappings themselves never need decoding.
+ */
+
+const DEPENDENCY_SOURCE = /(^|\/)node_modules\/|webpack\/(bootstrap|runtime)|^\(webpack\)|^webpack\/|vite\/(preload-helper|modulepreload-polyfill)/;
+
+/**
+ * Where a script's source map lives
+ * @param {string} source - Script text
+ * @param {Object} headers - Response headers of the script
+ * @returns {string|null} URL as written (may be relative or a data: URL)
+ */
+export function findSourceMapUrl(source, headers = {}) {
+  const header = headers['sourcemap'] || headers['x-sourcemap'];
+  if (header) return header.trim();
+  // The comment is normally the last line; only the tail is searched so huge bundles stay cheap
+  const tail = source.slice(-4096);
+  const matches = [...tail.matchAll(/\/[/*][#@]\s*sourceMappingURL=([^\s'"*]+)/g)];
+  return matches.length > 0 ? matches[matches.length - 1][1] : null;
+}
+
+/**
+ * Decode a data: URL source map
+ * @returns {string|null} Map text, or null when the URL is not a data: URL
+ */
+export function decodeDataUrl(url) {
+  const match = url.match(/^data:([^,]*),(.*)$/s);
+  if (!match) return null;
+  return /;base64$/i.test(match[1])
+    ? Buffer.from(match[2], 'base64').toString('utf-8')
+    : decodeURIComponent(match[2]);
+}
+
+/**
+ * Parse a source map, including index maps made of sections
+ * @returns {Object[]} The individual maps
+ */
+export function parseSourceMap(text) {
+  // Some servers prefix JSON with )]}' to stop it being loaded as a script
+  const map = JSON.parse(text.replace(/^\)\]\}'[^\n]*\n/, ''));
+  if (Array.isArray(map.sections)) {
+    return map.sections.map(section => section.map).filter(Boolean);
+  }
+  return [map];
+}
+
+/**
+ * Original sources embedded in the maps
+ * Dependencies (node_modules, bundler runtime) are skipped unless asked for.
+ * @param {Object[]} maps - From parseSourceMap
+ * @param {Object} options
+ * @param {boolean} options.includeDependencies
+ * @returns {{sources: {path: string, content: string}[], total: number, without_content: number, dependencies_skipped: number}}
+ */
+export function originalSources(maps, { includeDependencies = false } = {}) {
+  const sources = [];
+  let total = 0;
+  let withoutContent = 0;
+  let dependenciesSkipped = 0;
+  for (const map of maps) {
+    const root = map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : '';
+    (map.sources || []).forEach((source, index) => {
+      total++;
+      const path = `${root}${source}`;
+      const content = map.sourcesContent?.[index];
+      if (typeof content !== 'string') {
+        withoutContent++;
+      } else if (!includeDependencies && DEPENDENCY_SOURCE.test(source)) {
+        dependenciesSkipped++;
+      } else {
+        sources.push({ path, content });
+      }
+    });
+  }
+  return { sources, total, without_content: withoutContent, dependencies_skipped: dependenciesSkipped };
+}
@@ -0,0 +1,174 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Request body encoding for web_request
+ *
+ * Exactly one body argument may be given:
+ *   data         raw string, sent as-is
+ *   json         any JSON value, serialized
+ *   form         object of fields, urlencoded (nested objects use a[b]=c, arrays repeat the key)
+ *   multipart    array of parts: { name, value } or { name, filename, content_type,
+ *                file_path | content_base64 | content, headers }
+ *   data_base64  binary body
+ *
+ * File parts are read through the filesystem plugin's sandbox, so uploads can
+ * only come from the workspace.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { checkPath } from '../shared/sandbox.js';
+
+const BODY_ARGUMENTS = ['data', 'json', 'form', 'multipart', 'data_base64'];
+
+const CONTENT_TYPES = {
+  '.txt': 'text/plain',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.csv': 'text/csv',
+  '.js': 'application/javascript',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.php': 'application/x-php',
+  '.exe': 'application/octet-stream'
+};
+
+// Sandbox refusals keep their error_code so web_request can report it
+function bodyError(message, errorCode = null) {
+  const error = new Error(message);
+  if (errorCode) error.errorCode = errorCode;
+  return error;
+}
+
+function findHeader(headers, name) {
+  return Object.keys(headers).find(key => key.toLowerCase() === name);
+}
+
+function flattenForm(value, prefix, pairs) {
+  if (Array.isArray(value)) {
+    value.forEach(item => flattenForm(item, prefix, pairs));
+  } else if (value !== null && typeof value === 'object') {
+    for (const [key, nested] of Object.entries(value)) {
+      flattenForm(nested, prefix ? `${prefix}[${key}]` : key, pairs);
+    }
+  } else {
+    pairs.push([prefix, value === null || value === undefined ? '' : String(value)]);
+  }
+  return pairs;
+}
+
+export function encodeForm(fields) {
+  return flattenForm(fields, '', [])
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+}
+
+// Quotes a Content-Disposition parameter the way browsers do
+function quoteParameter(value) {
+  return String(value).replace(/"/g, '%22').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+async function readPartContent(part) {
+  if (part.file_path !== undefined) {
+    const check = await checkPath(part.file_path, 'read');
+    if (!check.allowed) {
+      throw bodyError(`Upload file refused: ${check.error}`, check.error_code);
+    }
+    return fs.readFile(check.realPath);
+  }
+  if (part.content_base64 !== undefined) return Buffer.from(part.content_base64, 'base64');
+  if (part.content !== undefined) return Buffer.from(String(part.content));
+  return Buffer.from(part.value === undefined || part.value === null ? '' : String(part.value));
+}
+
+async function encodeMultipart(parts, boundary) {
+  if (!Array.isArray(parts)) throw bodyError('multipart must be an array of parts');
+  const buffers = [];
+  for (const part of parts) {
+    if (!part || typeof part.name !== 'string') throw bodyError('Every multipart part needs a name');
+    const isFile = part.file_path !== undefined || part.content_base64 !== undefined || part.filename !== undefined;
+    const filename = part.filename !== undefined ? part.filename : (part.file_path !== undefined ? path.basename(part.file_path) : null);
+
+    let disposition = `Content-Disposition: form-data; name="${quoteParameter(part.name)}"`;
+    if (filename !== null) disposition += `; filename="${quoteParameter(filename)}"`;
+    const partHeaders = [disposition];
+    const contentType = part.content_type ||
+      (isFile ? CONTENT_TYPES[path.extname(filename || '').toLowerCase()] || 'application/octet-stream' : null);
+    if (contentType) partHeaders.push(`Content-Type: ${contentType}`);
+    for (const [name, value] of Object.entries(part.headers || {})) partHeaders.push(`${name}: ${value}`);
+
+    buffers.push(Buffer.from(`--${boundary}\r\n${partHeaders.join('\r\n')}\r\n\r\n`));
+    buffers.push(await readPartContent(part));
+    buffers.push(Buffer.from('\r\n'));
+  }
+  buffers.push(Buffer.from(`--${boundary}--\r\n`));
+  return Buffer.concat(buffers);
+}
+
+/**
+ * Build the request body and headers from web_request arguments
+ * @param {Object} args - Tool arguments (data, json, form, multipart, data_base64)
+ * @param {Object} headers - Request headers; a caller-supplied Content-Type always wins
+ * @returns {Promise<{body: Buffer|null, headers: Object, type: string|null}>}
+ */
+export async function buildRequestBody(args, headers) {
+  const given = BODY_ARGUMENTS.filter(name => args[name] !== undefined && args[name] !== null);
+  if (given.length > 1) {
+    throw bodyError(`Use only one body argument, got: ${given.join(', ')}`);
+  }
+  if (given.length === 0) return { body: null, headers, type: null };
+
+  const type = given[0];
+  const nextHeaders = { ...headers };
+  const contentTypeKey = findHeader(nextHeaders, 'content-type');
+  const setDefaultType = (value) => {
+    if (!contentTypeKey) nextHeaders['Content-Type'] = value;
+  };
+
+  let body;
+  if (type === 'data') {
+    body = Buffer.from(String(args.data));
+    setDefaultType('application/x-www-form-urlencoded');
+  } else if (type === 'json') {
+    body = Buffer.from(JSON.stringify(args.json));
+    setDefaultType('application/json');
+  } else if (type === 'form') {
+    if (typeof args.form !== 'object') throw bodyError('form must be an object of fields');
+    body = Buffer.from(encodeForm(args.form));
+    setDefaultType('application/x-www-form-urlencoded');
+  } else if (type === 'multipart') {
+    // Reuse a boundary the caller put in their own Content-Type, otherwise make one up
+    const callerType = contentTypeKey ? nextHeaders[contentTypeKey] : null;
+    const boundaryMatch = callerType && callerType.match(/boundary="?([^";]+)"?/i);
+    const boundary = boundaryMatch ? boundaryMatch[1] : `----CortexAIBoundary${crypto.randomBytes(12).toString('hex')}`;
+    body = await encodeMultipart(args.multipart, boundary);
+    if (!contentTypeKey) {
+      nextHeaders['Content-Type'] = `multipart/form-data; boundary=${boundary}`;
+    } else if (!boundaryMatch && /^multipart\//i.test(callerType)) {
+      nextHeaders[contentTypeKey] = `${callerType}; boundary=${boundary}`;
+    }
+  } else {
+    body = Buffer.from(args.data_base64, 'base64');
+    setDefaultType('application/octet-stream');
+  }
+
+  return { body, headers: nextHeaders, type };
+}
@@ -0,0 +1,247 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Action scripts for browse_website
+ *
+ * Steps run in order against the page after the first navigation:
+ *   navigate               { url, wait_until }           url may be relative to the current page
+ *   click                  { selector, navigation }
+ *   type                   { selector, text, clear, delay_ms }
+ *   select                 { selector, values }
+ *   press                  { key, selector, navigation }
+ *   wait_for_selector      { selector, state }           attached (default), visible or hidden
+ *   wait_for_navigation    { wait_until }
+ *   wait_for_network_idle  { idle_ms }
+ *   evaluate               { script }                    expression; a returned Promise is awaited
+ *
+ * Every step takes timeout_ms. navigation: true on click and press waits for
+ * the page load the step triggers, which a separate wait_for_navigation step
+ * can miss if the load finishes first. The script stops at the first failed step.
+ */
+
+import { checkScope } from '../shared/scope.js';
+
+export const ACTION_TYPES = [
+  'navigate',
+  'click',
+  'type',
+  'select',
+  'press',
+  'wait_for_selector',
+  'wait_for_navigation',
+  'wait_for_network_idle',
+  'evaluate'
+];
+
+const MAX_ACTIONS = 50;
+const DEFAULT_STEP_TIMEOUT_MS = 30000;
+const MAX_EVALUATE_RESULT_LENGTH = 10000;
+const WAIT_UNTIL_VALUES = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+const SELECTOR_STATES = ['attached', 'visible', 'hidden'];
+
+// Fields each action cannot do without
+const REQUIRED_FIELDS = {
+  navigate: ['url'],
+  click: ['selector'],
+  type: ['selector', 'text'],
+  select: ['selector', 'values'],
+  press: ['key'],
+  wait_for_selector: ['selector']
+};
+
+function actionError(message, errorCode) {
+  const error = new Error(message);
+  error.errorCode = errorCode;
+  return error;
+}
+
+/**
+ * Check an action script before any browser work is done
+ * @param {Object[]} actions
+ * @throws {Error} With errorCode INVALID_ACTIONS
+ */
+export function validateActions(actions) {
+  if (!Array.isArray(actions)) throw actionError('actions must be an array of steps', 'INVALID_ACTIONS');
+  if (actions.length > MAX_ACTIONS) throw actionError(`At most ${MAX_ACTIONS} actions can run in one call`, 'INVALID_ACTIONS');
+  actions.forEach((step, index) => {
+    const where = `Action ${index + 1}`;
+    if (!step || typeof step !== 'object') throw actionError(`${where} must be an object`, 'INVALID_ACTIONS');
+    if (!ACTION_TYPES.includes(step.action)) {
+      throw actionError(`${where} has unknown action "${step.action}"; expected one of ${ACTION_TYPES.join(', ')}`, 'INVALID_ACTIONS');
+    }
+    for (const field of REQUIRED_FIELDS[step.action] || []) {
+      if (step[field] === undefined || step[field] === null) {
+        throw actionError(`${where} (${step.action}) needs "${field}"`, 'INVALID_ACTIONS');
+      }
+    }
+    if (step.action === 'evaluate' && typeof step.script !== 'string') {
+      throw actionError(`${where} (evaluate) needs "script" as a string`, 'INVALID_ACTIONS');
+    }
+    if (step.wait_until !== undefined && !WAIT_UNTIL_VALUES.includes(step.wait_until)) {
+      throw actionError(`${where} has invalid wait_until "${step.wait_until}"; expected one of ${WAIT_UNTIL_VALUES.join(', ')}`, 'INVALID_ACTIONS');
+    }
+    if (step.state !== undefined && !SELECTOR_STATES.includes(step.state)) {
+      throw actionError(`${where} has invalid state "${step.state}"; expected one of ${SELECTOR_STATES.join(', ')}`, 'INVALID_ACTIONS');
+    }
+  });
+}
+
+// page.evaluate results cross as JSON; large ones are cut so they cannot flood the reply
+function formatEvaluateResult(value) {
+  if (value === undefined) return { result: null };
+  const text = JSON.stringify(value);
+  if (text === undefined || text.length <= MAX_EVALUATE_RESULT_LENGTH) return { result: value };
+  return { result: text.slice(0, MAX_EVALUATE_RESULT_LENGTH), result_truncated: true, result_length: text.length };
+}
+
+// Runs a click or key press, waiting for the navigation it causes when asked to
+async function withNavigation(page, step, timeout, trigger) {
+  if (!step.navigation) {
+    await trigger();
+    return null;
+  }
+  const [response] = await Promise.all([
+    page.waitForNavigation({ waitUntil: step.wait_until || 'load', timeout }),
+    trigger()
+  ]);
+  return response;
+}
+
+async function runStep(page, step) {
+  const timeout = step.timeout_ms || DEFAULT_STEP_TIMEOUT_MS;
+  switch (step.action) {
+    case 'navigate': {
+      const target = new URL(step.url, page.url()).href;
+      const decision = await checkScope(target);
+      if (!decision.allowed) {
+        const error = actionError(`Navigation target ${target} is out of scope`, 'OUT_OF_SCOPE');
+        error.scopeRule = decision.rule;
+        throw error;
+      }
+      const response = await page.goto(target, { waitUntil: step.wait_until || 'networkidle2', timeout });
+      return { status_code: response ? response.status() : null };
+    }
+    case 'click': {
+      await page.waitForSelector(step.selector, { visible: true, timeout });
+      const response = await withNavigation(page, step, timeout, () => page.click(step.selector));
+      return response ? { status_code: response.status() } : {};
+    }
+    case 'type': {
+      await page.waitForSelector(step.selector, { timeout });
+      if (step.clear) {
+        // Select the existing value so typing replaces it, as a user would
+        await page.$eval(step.selector, (element) => {
+          element.focus();
+          if (typeof element.select === 'function') element.select();
+        });
+      }
+      await page.type(step.selector, String(step.text), { delay: step.delay_ms || 0 });
+      return {};
+    }
+    case 'select': {
+      await page.waitForSelector(step.selector, { timeout });
+      const values = (Array.isArray(step.values) ? step.values : [step.values]).map(String);
+      const selected = await page.select(step.selector, ...values);
+      if (selected.length === 0) {
+        throw actionError(`None of ${values.join(', ')} is an option of ${step.selector}`, 'OPTION_NOT_FOUND');
+      }
+      return { selected };
+    }
+    case 'press': {
+      if (step.selector) {
+        await page.waitForSelector(step.selector, { timeout });
+        await page.focus(step.selector);
+      }
+      const response = await withNavigation(page, step, timeout, () => page.keyboard.press(step.key));
+      return response ? { status_code: response.status() } : {};
+    }
+    case 'wait_for_selector': {
+      const state = step.state || 'attached';
+      await page.waitForSelector(step.selector, { visible: state === 'visible', hidden: state === 'hidden', timeout });
+      return {};
+    }
+    case 'wait_for_navigation': {
+      const response = await page.waitForNavigation({ waitUntil: step.wait_until || 'load', timeout });
+      return { status_code: response ? response.status() : null };
+    }
+    case 'wait_for_network_idle': {
+      await page.waitForNetworkIdle({ idleTime: step.idle_ms || 500, timeout });
+      return {};
+    }
+    case 'evaluate': {
+      // page.evaluate has no timeout of its own; a script that never settles is abandoned, not stopped
+      let timer = null;
+      const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const error = new Error(`Script did not finish within ${timeout}ms`);
+          error.name = 'TimeoutError';
+          reject(error);
+        }, timeout);
+      });
+      try {
+        return formatEvaluateResult(await Promise.race([page.evaluate(step.script), timedOut]));
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+}
+
+/**
+ * Run an action script against a page
+ * @param {Object} page - Puppeteer page, already navigated
+ * @param {Object[]} actions - Steps checked by validateActions
+ * @returns {Promise<{steps: Object[], completed: number, failed_step: number|null, response: Object|null}>}
+ *   response is the last main-frame navigation response seen, if any step navigated
+ */
+export async function runActions(page, actions) {
+  let lastResponse = null;
+  const onResponse = (response) => {
+    const request = response.request();
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) lastResponse = response;
+  };
+  page.on('response', onResponse);
+
+  const steps = [];
+  let failedStep = null;
+  try {
+    for (let index = 0; index < actions.length; index++) {
+      const step = actions[index];
+      const report = { step: index + 1, action: step.action };
+      if (step.selector) report.selector = step.selector;
+      const startedAt = Date.now();
+      try {
+        Object.assign(report, { success: true }, await runStep(page, step));
+      } catch (error) {
+        report.success = false;
+        report.error = error.message;
+        if (error.errorCode) report.error_code = error.errorCode;
+        else if (error.name === 'TimeoutError') report.error_code = 'TIMEOUT';
+        if (error.scopeRule) report.scope_rule = error.scopeRule;
+      }
+      report.time_ms = Date.now() - startedAt;
+      report.url = page.url();
+      steps.push(report);
+      if (!report.success) {
+        failedStep = index + 1;
+        break;
+      }
+    }
+  } finally {
+    page.off('response', onResponse);
+  }
+
+  return {
+    steps,
+    completed: steps.filter(step => step.success).length,
+    failed_step: failedStep,
+    response: lastResponse
+  };
+}
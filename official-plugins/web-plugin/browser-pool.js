@@ -0,0 +1,269 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Long-lived headless browser shared by the browser tools
+ *
+ * Chromium is launched on first use and kept running. Each call gets a tab in
+ * a browser context: a named context keeps its cookies, localStorage and
+ * login state between calls, while calls without a name get a throwaway one.
+ * Every context has its own proxy, fixed when the context is created.
+ *
+ * CORTEXAI_BROWSER_MAX_TABS caps open tabs (default 8); further calls wait.
+ * CORTEXAI_BROWSER_IDLE_SECONDS closes the browser after that long without
+ * open tabs (default 600, 0 to keep it running). If Chromium crashes or is
+ * shut down while idle, the next call relaunches it and named contexts get
+ * back the cookies saved when their last tab closed. localStorage does not survive this.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import puppeteer from 'puppeteer';
+import { describeProxy, browserProxySettings } from '../shared/proxy.js';
+
+const DEFAULT_MAX_TABS = 8;
+const DEFAULT_IDLE_SECONDS = 600;
+const TAB_WAIT_TIMEOUT_MS = 120000;
+const CONTEXT_NAME_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+let browser = null;
+let launching = null;
+let launchCount = 0;
+let idleTimer = null;
+let openTabs = 0;
+const tabWaiters = [];
+// name -> { context, creating, proxyKey, createdAt, lastUsedAt, tabs, savedCookies }
+const contexts = new Map();
+
+function poolError(message, errorCode) {
+  const error = new Error(message);
+  error.errorCode = errorCode;
+  return error;
+}
+
+function maxTabs() {
+  const value = parseInt(process.env.CORTEXAI_BROWSER_MAX_TABS, 10);
+  return value > 0 ? value : DEFAULT_MAX_TABS;
+}
+
+function idleMs() {
+  const value = parseInt(process.env.CORTEXAI_BROWSER_IDLE_SECONDS, 10);
+  return (Number.isFinite(value) && value >= 0 ? value : DEFAULT_IDLE_SECONDS) * 1000;
+}
+
+function proxyKey(proxy) {
+  if (!proxy) return 'direct';
+  return proxy.username ? `${describeProxy(proxy)} as ${proxy.username}` : describeProxy(proxy);
+}
+
+// Nothing can be awaited in an exit handler: Chromium is killed outright and its
+// temporary profile removed here, since puppeteer only deletes it asynchronously
+process.on('exit', () => {
+  const child = browser?.process();
+  if (!child) return;
+  if (child.exitCode === null) child.kill('SIGKILL');
+  const profileArg = child.spawnargs.find(arg => arg.startsWith('--user-data-dir='));
+  const profileDir = profileArg ? profileArg.slice('--user-data-dir='.length) : null;
+  if (profileDir && path.basename(profileDir).startsWith('puppeteer_dev_chrome_profile-')) {
+    try {
+      fs.rmSync(profileDir, { recursive: true, force: true, maxRetries: 3 });
+    } catch {
+      // Leftover profiles in the temp directory are harmless
+    }
+  }
+});
+
+async function getBrowser() {
+  if (browser?.connected) return browser;
+  if (launching) return launching;
+
+  launching = puppeteer.launch({
+    headless: true,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--no-first-run',
+      '--no-default-browser-check',
+      '--disable-default-apps',
+      // Matches web_request, which does not verify certificates unless asked; intercepting proxies need it too
+      '--ignore-certificate-errors'
+    ]
+  }).then((launched) => {
+    browser = launched;
+    launchCount++;
+    launched.once('disconnected', () => {
+      if (browser !== launched) return;
+      browser = null;
+      // The contexts died with the browser; named ones are recreated on next use from their saved cookies
+      for (const record of contexts.values()) {
+        record.context = null;
+        record.creating = null;
+      }
+    });
+    return launched;
+  }).finally(() => {
+    launching = null;
+  });
+  return launching;
+}
+
+function scheduleIdleShutdown() {
+  clearTimeout(idleTimer);
+  idleTimer = null;
+  const delay = idleMs();
+  if (openTabs > 0 || delay === 0 || !browser) return;
+  idleTimer = setTimeout(() => {
+    shutdownBrowser().catch(() => {});
+  }, delay);
+  idleTimer.unref();
+}
+
+async function reserveTab() {
+  if (openTabs < maxTabs()) {
+    openTabs++;
+    return;
+  }
+  await new Promise((resolve, reject) => {
+    const waiter = { resolve, timer: null };
+    waiter.timer = setTimeout(() => {
+      tabWaiters.splice(tabWaiters.indexOf(waiter), 1);
+      reject(poolError(`All ${maxTabs()} browser tabs are busy`, 'BROWSER_BUSY'));
+    }, TAB_WAIT_TIMEOUT_MS);
+    tabWaiters.push(waiter);
+  });
+}
+
+function releaseTab() {
+  const waiter = tabWaiters.shift();
+  if (waiter) {
+    // The slot passes straight to the next caller
+    clearTimeout(waiter.timer);
+    waiter.resolve();
+    return;
+  }
+  openTabs--;
+  scheduleIdleShutdown();
+}
+
+async function createContext(activeBrowser, proxy) {
+  const settings = browserProxySettings(proxy);
+  return activeBrowser.createBrowserContext(settings
+    ? { proxyServer: settings.server, proxyBypassList: settings.bypassList }
+    : {});
+}
+
+/**
+ * Open a tab
+ * @param {Object} options
+ * @param {string|null} options.context - Named context to reuse or create; null for a throwaway one
+ * @param {Object|null} options.proxy - Parsed proxy for a new context
+ * @returns {Promise<{page: Object, info: Object, release: Function}>} release() closes the tab (and a throwaway context)
+ */
+export async function acquirePage({ context: name = null, proxy = null } = {}) {
+  if (name !== null && !CONTEXT_NAME_PATTERN.test(name)) {
+    throw poolError('Context names may only contain letters, digits, ".", "_" and "-" (at most 64 characters)', 'INVALID_CONTEXT_NAME');
+  }
+  const record = name !== null ? contexts.get(name) : null;
+  if (record && record.proxyKey !== proxyKey(proxy)) {
+    throw poolError(`Context "${name}" was created with proxy ${record.proxyKey}; use another context name for ${proxyKey(proxy)}`, 'CONTEXT_PROXY_MISMATCH');
+  }
+
+  await reserveTab();
+  clearTimeout(idleTimer);
+  idleTimer = null;
+  let browserContext = null;
+  try {
+    const launchesBefore = launchCount;
+    const activeBrowser = await getBrowser();
+    const info = {
+      context: name,
+      context_created: false,
+      browser_launched: launchCount !== launchesBefore,
+      cookies_restored: 0
+    };
+
+    if (name === null) {
+      browserContext = await createContext(activeBrowser, proxy);
+      info.context_created = true;
+    } else {
+      let entry = contexts.get(name);
+      if (!entry) {
+        entry = { context: null, creating: null, proxyKey: proxyKey(proxy), createdAt: new Date().toISOString(), lastUsedAt: null, tabs: 0, savedCookies: [] };
+        contexts.set(name, entry);
+      }
+      if (!entry.context && !entry.creating) {
+        // Concurrent calls for the same new name wait on this instead of each creating a context
+        const creating = (async () => {
+          const created = await createContext(activeBrowser, proxy);
+          if (entry.savedCookies.length > 0) await created.setCookie(...entry.savedCookies);
+          // A browser that went away meanwhile took the context with it
+          if (browser === activeBrowser) entry.context = created;
+          return created;
+        })().finally(() => {
+          if (entry.creating === creating) entry.creating = null;
+        });
+        entry.creating = creating;
+        info.context_created = true;
+        info.cookies_restored = entry.savedCookies.length;
+      }
+      if (!entry.context) await entry.creating;
+      if (!entry.context) throw poolError('The browser closed while the context was being created', 'BROWSER_CLOSED');
+      entry.tabs++;
+      entry.lastUsedAt = new Date().toISOString();
+      browserContext = entry.context;
+    }
+
+    const page = await browserContext.newPage();
+    let released = false;
+    const release = async () => {
+      if (released) return;
+      released = true;
+      try {
+        await page.close().catch(() => {});
+        if (name === null) {
+          await browserContext.close().catch(() => {});
+        } else {
+          const entry = contexts.get(name);
+          if (entry) {
+            entry.tabs--;
+            if (entry.context === browserContext) {
+              entry.savedCookies = await browserContext.cookies().catch(() => entry.savedCookies);
+            }
+          }
+        }
+      } finally {
+        releaseTab();
+      }
+    };
+    return { page, info, release };
+
+  } catch (error) {
+    if (name === null && browserContext) await browserContext.close().catch(() => {});
+    if (name !== null && contexts.get(name)?.tabs > 0 && browserContext) contexts.get(name).tabs--;
+    releaseTab();
+    throw error;
+  }
+}
+
+/**
+ * Close the browser; named contexts keep their saved cookies for the next launch
+ */
+async function shutdownBrowser() {
+  clearTimeout(idleTimer);
+  idleTimer = null;
+  const closing = browser;
+  browser = null;
+  for (const entry of contexts.values()) {
+    entry.context = null;
+    entry.creating = null;
+  }
+  if (closing) await closing.close().catch(() => {});
+}
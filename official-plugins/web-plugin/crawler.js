@@ -0,0 +1,185 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Crawl helpers for crawl_site
+ * URL normalization for deduplication, the crawl boundary (same origin,
+ * host or domain), robots.txt matching as in RFC 9309, and sitemap parsing.
+ * Fetching and link extraction stay in the tool, which reuses browse_website's.
+ */
+
+export const CRAWL_MODES = ['same_origin', 'same_host', 'same_domain', 'scope'];
+
+// Fetching these would cost bandwidth without yielding links
+const ASSET_EXTENSIONS = /\.(png|jpe?g|gif|webp|avif|svg|ico|bmp|tiff?|css|js|mjs|map|woff2?|ttf|otf|eot|mp[34]|m4a|wav|ogg|webm|avi|mov|pdf|zip|gz|tgz|bz2|xz|7z|rar|tar|exe|dmg|msi|iso|apk|docx?|xlsx?|pptx?)$/i;
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+/**
+ * Canonical form of a URL, used as the crawl's dedupe key
+ * Scheme and host are lowercased, default ports and fragments dropped and
+ * query parameters sorted; the path is kept as-is since servers may treat
+ * case and trailing slashes differently.
+ * @param {string} url - Absolute URL, or relative to base
+ * @param {string} [base]
+ * @returns {string|null} null for anything but http(s)
+ */
+export function normalizeUrl(url, base) {
+  let parsed;
+  try {
+    parsed = new URL(url, base);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+  parsed.hash = '';
+  if (parsed.port === DEFAULT_PORTS[parsed.protocol]) parsed.port = '';
+  const params = [...parsed.searchParams].sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : av > bv ? 1 : 0) : (a < b ? -1 : 1)));
+  parsed.search = params.length > 0 ? new URLSearchParams(params).toString() : '';
+  return parsed.href;
+}
+
+/**
+ * Resolve a URL taken from a page
+ * @returns {string|null} null when it cannot be parsed
+ */
+export function resolveUrl(url, base) {
+  try {
+    return new URL(url, base).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a URL lies inside the crawl boundary
+ * "scope" leaves the decision to the engagement scope, which the caller checks for every mode.
+ * @param {string} url - Normalized URL
+ * @param {string[]} origins - Origins of the start URL (and where it redirected to)
+ * @param {string} mode - One of CRAWL_MODES
+ */
+export function inCrawlBoundary(url, origins, mode) {
+  if (mode === 'scope') return true;
+  const target = new URL(url);
+  return origins.some((origin) => {
+    const start = new URL(origin);
+    if (mode === 'same_origin') return target.origin === start.origin;
+    if (mode === 'same_host') return target.hostname === start.hostname;
+    const domain = start.hostname.replace(/^www\./, '');
+    return target.hostname === domain || target.hostname.endsWith(`.${domain}`);
+  });
+}
+
+export function isAssetUrl(url) {
+  return ASSET_EXTENSIONS.test(new URL(url).pathname);
+}
+
+export function queryParameterNames(url) {
+  return [...new Set(new URL(url).searchParams.keys())];
+}
+
+/**
+ * Parse robots.txt
+ * @returns {{groups: {agents: string[], rules: {allow: boolean, path: string}[]}[], sitemaps: string[]}}
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if ((field === 'allow' || field === 'disallow') && current) {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    }
+  }
+  return { groups, sitemaps };
+}
+
+/**
+ * Rules that apply to a user agent: its most specific named group, or the * group
+ * @param {Object} robots - From parseRobotsTxt
+ * @param {string} userAgent - Crawler user agent
+ */
+export function robotsRulesFor(robots, userAgent) {
+  const agent = userAgent.toLowerCase();
+  const named = robots.groups.filter(group => group.agents.some(token => token !== '*' && agent.includes(token)));
+  const groups = named.length > 0 ? named : robots.groups.filter(group => group.agents.includes('*'));
+  return groups.flatMap(group => group.rules);
+}
+
+function robotsPattern(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Apply robots rules to a URL
+ * The longest matching rule wins and Allow wins a tie.
+ * @returns {{allowed: boolean, rule: string|null}}
+ */
+export function robotsAllows(rules, url) {
+  const parsed = new URL(url);
+  const target = `${parsed.pathname}${parsed.search}`;
+  let best = null;
+  for (const rule of rules) {
+    if (!robotsPattern(rule.path).test(target)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return { allowed: !best || best.allow, rule: best ? `${best.allow ? 'Allow' : 'Disallow'}: ${best.path}` : null };
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * URLs listed in a sitemap, or the child sitemaps of a sitemap index
+ * Plain-text sitemaps (one URL per line) are accepted too.
+ * @returns {{urls: string[], sitemaps: string[]}}
+ */
+export function parseSitemap(text) {
+  const locations = [...text.matchAll(/<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/gi)]
+    .map(match => decodeXmlEntities(match[1].trim()));
+  if (/<sitemapindex[\s>]/i.test(text)) return { urls: [], sitemaps: locations };
+  if (locations.length > 0 || /<urlset[\s>]/i.test(text)) return { urls: locations, sitemaps: [] };
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => /^https?:\/\//i.test(line));
+  return { urls: lines, sitemaps: [] };
+}
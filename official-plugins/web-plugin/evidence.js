@@ -0,0 +1,127 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Evidence capture for browse_website
+ * Saves a full-page PNG, the rendered DOM, and optionally a PDF and
+ * screenshots of single elements, into an evidence directory inside the
+ * workspace. Every file is reported with its SHA-256 and capture time so
+ * a report can show it has not been altered since.
+ *
+ * The directory comes from the call, CORTEXAI_EVIDENCE_DIR, or ./evidence.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { checkPath } from '../shared/sandbox.js';
+
+const DEFAULT_EVIDENCE_DIR = 'evidence';
+const MAX_ELEMENT_SCREENSHOTS = 20;
+
+/**
+ * Evidence directory for a call
+ * @param {string|null} requested - evidence_dir argument
+ */
+export function evidenceDirectory(requested) {
+  return requested || process.env.CORTEXAI_EVIDENCE_DIR || DEFAULT_EVIDENCE_DIR;
+}
+
+// 2025-01-31T12-00-00-000Z_app.example.com, safe in file names on every platform
+function filePrefix(url, capturedAt) {
+  let host = 'page';
+  try {
+    host = new URL(url).host.replace(/[^A-Za-z0-9.-]/g, '_') || host;
+  } catch {
+    // about:blank and the like keep the generic name
+  }
+  return `${capturedAt.replace(/:/g, '-').replace('.', '-')}_${host}`;
+}
+
+async function saveFile(directory, name, data, details) {
+  const target = path.join(directory, name);
+  const check = await checkPath(target, 'write');
+  if (!check.allowed) {
+    return { ...details, error_code: check.error_code, error: check.error };
+  }
+  try {
+    // Two captures of one host in the same millisecond share a name; wx reports that, or anything
+    // that appeared there since the check, rather than writing over it
+    await fs.writeFile(check.realPath, data, { flag: 'wx' });
+  } catch (error) {
+    return { ...details, error_code: error.code === 'EEXIST' ? 'FILE_EXISTS' : 'WRITE_FAILED', error: error.message };
+  }
+  return {
+    ...details,
+    path: check.path,
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+    bytes: Buffer.byteLength(data)
+  };
+}
+
+/**
+ * Capture evidence of the page as it is now
+ * @param {Object} page - Puppeteer page
+ * @param {Object} options
+ * @param {Object} options.directoryCheck - checkPath result for the evidence directory
+ * @param {string} options.html - Rendered DOM, serialized
+ * @param {string} options.htmlCapturedAt - When html was read from the page
+ * @param {boolean} options.pdf - Also print the page to PDF
+ * @param {string[]} options.selectors - CSS selectors to screenshot on their own
+ * @returns {Promise<{directory: string, page_url: string, files: Object[]}>}
+ */
+export async function captureEvidence(page, { directoryCheck, html, htmlCapturedAt, pdf = false, selectors = [] }) {
+  const pageUrl = page.url();
+  const prefix = filePrefix(pageUrl, new Date().toISOString());
+  await fs.mkdir(directoryCheck.realPath, { recursive: true });
+  const directory = directoryCheck.path;
+  const files = [];
+
+  let capturedAt = new Date().toISOString();
+  try {
+    const screenshot = await page.screenshot({ type: 'png', fullPage: true });
+    files.push(await saveFile(directory, `${prefix}_page.png`, Buffer.from(screenshot), { type: 'screenshot', captured_at: capturedAt }));
+  } catch (error) {
+    files.push({ type: 'screenshot', captured_at: capturedAt, error_code: 'CAPTURE_FAILED', error: error.message });
+  }
+
+  files.push(await saveFile(directory, `${prefix}_dom.html`, html, { type: 'dom', captured_at: htmlCapturedAt }));
+
+  if (pdf) {
+    capturedAt = new Date().toISOString();
+    try {
+      const pdfData = await page.pdf({ printBackground: true, format: 'A4' });
+      files.push(await saveFile(directory, `${prefix}_page.pdf`, Buffer.from(pdfData), { type: 'pdf', captured_at: capturedAt }));
+    } catch (error) {
+      files.push({ type: 'pdf', captured_at: capturedAt, error_code: 'CAPTURE_FAILED', error: error.message });
+    }
+  }
+
+  for (const [index, selector] of selectors.slice(0, MAX_ELEMENT_SCREENSHOTS).entries()) {
+    capturedAt = new Date().toISOString();
+    const details = { type: 'element_screenshot', selector: selector, captured_at: capturedAt };
+    try {
+      const element = await page.$(selector);
+      if (!element) {
+        files.push({ ...details, error_code: 'ELEMENT_NOT_FOUND', error: `No element matches ${selector}` });
+        continue;
+      }
+      // Scrolled into view first, so elements below the fold are not captured blank
+      await element.scrollIntoView().catch(() => {});
+      const image = await element.screenshot({ type: 'png' });
+      await element.dispose();
+      files.push(await saveFile(directory, `${prefix}_element-${index + 1}.png`, Buffer.from(image), details));
+    } catch (error) {
+      // Hidden and zero-sized elements cannot be captured
+      files.push({ ...details, error_code: 'CAPTURE_FAILED', error: error.message });
+    }
+  }
+
+  return { directory, page_url: pageUrl, files };
+}
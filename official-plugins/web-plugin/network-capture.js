@@ -0,0 +1,415 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Network capture for the headless browser
+ * Listens to the DevTools Network domain on its own session, so it sees what
+ * the page really sent (cookies included, which puppeteer's request objects
+ * leave out), every redirect hop, requests blocked by the scope check and
+ * WebSocket frames. The record becomes a summarized endpoint list or a
+ * HAR 1.2 log.
+ */
+
+const MAX_ENTRIES = 2000;
+const MAX_POST_DATA_LENGTH = 1024 * 1024;
+const MAX_WEBSOCKET_FRAMES = 200;
+const SAMPLE_FRAME_LENGTH = 500;
+
+// Resource types that are page furniture rather than endpoints
+const ASSET_TYPES = ['Image', 'Font', 'Stylesheet', 'Media', 'Script', 'Manifest', 'TextTrack'];
+
+const HTTP_VERSIONS = { 'h2': 'HTTP/2', 'h3': 'HTTP/3', 'http/1.0': 'HTTP/1.0', 'http/1.1': 'HTTP/1.1' };
+
+function headerList(headers = {}) {
+  // DevTools joins repeated headers with newlines
+  return Object.entries(headers).flatMap(([name, value]) =>
+    String(value).split('\n').map(line => ({ name, value: line })));
+}
+
+function headerValue(headers = {}, name) {
+  const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function httpVersion(protocol) {
+  return HTTP_VERSIONS[protocol] || (protocol ? protocol.toUpperCase() : 'HTTP/1.1');
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function withoutQuery(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch {
+    return url;
+  }
+}
+
+// HAR phases from the DevTools timing block; -1 marks a phase that did not happen
+function harTimings(entry) {
+  const timing = entry.response?.timing;
+  const finishedAt = entry.finishedAt ?? entry.failedAt;
+  if (!timing) {
+    const total = finishedAt !== undefined ? (finishedAt - entry.startedAt) * 1000 : 0;
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: round(Math.max(total, 0)), receive: 0 };
+  }
+  const queued = (timing.requestTime - entry.startedAt) * 1000;
+  const firstPhase = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0) ?? 0;
+  const headersAt = timing.receiveHeadersEnd;
+  const receive = finishedAt !== undefined ? (finishedAt - timing.requestTime) * 1000 - headersAt : 0;
+  return {
+    blocked: round(Math.max(queued + firstPhase, 0)),
+    dns: timing.dnsStart >= 0 ? round(timing.dnsEnd - timing.dnsStart) : -1,
+    connect: timing.connectStart >= 0 ? round(timing.connectEnd - timing.connectStart) : -1,
+    ssl: timing.sslStart >= 0 ? round(timing.sslEnd - timing.sslStart) : -1,
+    send: round(Math.max(timing.sendEnd - timing.sendStart, 0)),
+    wait: round(Math.max(headersAt - timing.sendEnd, 0)),
+    receive: round(Math.max(receive, 0))
+  };
+}
+
+/**
+ * Start recording a page's traffic
+ * Call before the first navigation; stop() detaches once the page is done.
+ * @param {Object} page - Puppeteer page
+ * @returns {Promise<{stop: Function, summary: Function, toHar: Function}>}
+ */
+export async function startNetworkCapture(page) {
+  const client = await page.target().createCDPSession();
+  const entries = [];
+  const pending = new Map();
+  // Every hop recorded under a request ID, in order; redirect hops share the ID
+  const hops = new Map();
+  const queuedRequestHeaders = new Map();
+  const queuedResponseHeaders = new Map();
+  const websockets = new Map();
+  let dropped = 0;
+
+  // Responses served from a cache never went over the wire, so no extra info comes for them
+  const sentOverWire = (entry) =>
+    !entry.response || !(entry.response.fromDiskCache || entry.response.fromPrefetchCache || entry.response.fromServiceWorker);
+
+  // Extra-info events can come before or after the hop they belong to, but in hop order, so each
+  // goes to the first hop still without one, or waits in the queue for the next hop to start
+  const deliverExtraInfo = (queues, field, requestId, headers) => {
+    const entry = (hops.get(requestId) || []).find(hop => hop[field] === null && sentOverWire(hop));
+    if (entry) {
+      entry[field] = headers;
+      return entry;
+    }
+    if (!queues.has(requestId)) queues.set(requestId, []);
+    queues.get(requestId).push(headers);
+    return null;
+  };
+
+  const takeQueued = (queues, requestId) => {
+    const queue = queues.get(requestId);
+    if (!queue) return null;
+    const headers = queue.shift();
+    if (queue.length === 0) queues.delete(requestId);
+    return headers;
+  };
+
+  // Raw headers win over the filtered ones once the hop's response is complete
+  const completeResponse = (entry) => {
+    entry.complete = true;
+    if (entry.rawResponseHeaders && entry.response) entry.response = { ...entry.response, headers: entry.rawResponseHeaders };
+  };
+
+  const addEntry = (entry) => {
+    if (entries.length >= MAX_ENTRIES) {
+      dropped++;
+      return false;
+    }
+    entries.push(entry);
+    pending.set(entry.requestId, entry);
+    if (!hops.has(entry.requestId)) hops.set(entry.requestId, []);
+    hops.get(entry.requestId).push(entry);
+    return true;
+  };
+
+  client.on('Network.requestWillBeSent', (event) => {
+    const previous = pending.get(event.requestId);
+    if (previous && event.redirectResponse) {
+      // Redirect hops share a request ID; close the hop with the redirect response
+      previous.response = event.redirectResponse;
+      previous.finishedAt = event.timestamp;
+      previous.redirectUrl = event.request.url;
+      completeResponse(previous);
+      pending.delete(event.requestId);
+    }
+    const request = event.request;
+    let postData = request.postData;
+    if (postData === undefined && Array.isArray(request.postDataEntries)) {
+      postData = Buffer.concat(request.postDataEntries.map(part => Buffer.from(part.bytes || '', 'base64'))).toString('utf-8');
+    }
+    const entry = {
+      requestId: event.requestId,
+      startedAt: event.timestamp,
+      wallTime: event.wallTime,
+      type: event.type || 'Other',
+      method: request.method,
+      url: request.url,
+      requestHeaders: request.headers,
+      postData: postData,
+      response: null,
+      wireRequestHeaders: takeQueued(queuedRequestHeaders, event.requestId),
+      rawResponseHeaders: takeQueued(queuedResponseHeaders, event.requestId),
+      encodedBytes: 0,
+      decodedBytes: 0
+    };
+    if (entry.wireRequestHeaders) entry.requestHeaders = entry.wireRequestHeaders;
+    if (!addEntry(entry)) return;
+
+    if (request.hasPostData && postData === undefined) {
+      client.send('Network.getRequestPostData', { requestId: event.requestId })
+        .then(({ postData: fetched }) => { entry.postData = fetched; })
+        .catch(() => {});
+    }
+  });
+
+  // Headers as they went on the wire, with the cookies the browser added
+  client.on('Network.requestWillBeSentExtraInfo', (event) => {
+    const entry = deliverExtraInfo(queuedRequestHeaders, 'wireRequestHeaders', event.requestId, event.headers);
+    if (entry) entry.requestHeaders = event.headers;
+  });
+
+  client.on('Network.responseReceived', (event) => {
+    const entry = pending.get(event.requestId);
+    if (!entry) return;
+    entry.response = event.response;
+    if (event.type) entry.type = event.type;
+  });
+
+  // Raw response headers, including Set-Cookie
+  client.on('Network.responseReceivedExtraInfo', (event) => {
+    const entry = deliverExtraInfo(queuedResponseHeaders, 'rawResponseHeaders', event.requestId, event.headers);
+    if (entry?.complete) completeResponse(entry);
+  });
+
+  client.on('Network.dataReceived', (event) => {
+    const entry = pending.get(event.requestId);
+    if (entry) entry.decodedBytes += event.dataLength;
+  });
+
+  client.on('Network.loadingFinished', (event) => {
+    const entry = pending.get(event.requestId);
+    if (!entry) return;
+    entry.finishedAt = event.timestamp;
+    entry.encodedBytes = event.encodedDataLength;
+    completeResponse(entry);
+    pending.delete(event.requestId);
+  });
+
+  client.on('Network.loadingFailed', (event) => {
+    const entry = pending.get(event.requestId);
+    if (!entry) return;
+    entry.failedAt = event.timestamp;
+    entry.error = event.blockedReason ? `${event.errorText} (${event.blockedReason})` : event.errorText;
+    completeResponse(entry);
+    pending.delete(event.requestId);
+  });
+
+  // WebSockets get no requestWillBeSent; the handshake stands in for the request
+  client.on('Network.webSocketCreated', (event) => {
+    websockets.set(event.requestId, { url: event.url, status: null, frames: [], framesSent: 0, framesReceived: 0, closed: false });
+  });
+
+  client.on('Network.webSocketWillSendHandshakeRequest', (event) => {
+    const socket = websockets.get(event.requestId);
+    addEntry({
+      requestId: event.requestId,
+      startedAt: event.timestamp,
+      wallTime: event.wallTime,
+      type: 'WebSocket',
+      method: 'GET',
+      url: socket ? socket.url : '',
+      requestHeaders: event.request.headers,
+      postData: undefined,
+      response: null,
+      encodedBytes: 0,
+      decodedBytes: 0
+    });
+  });
+
+  client.on('Network.webSocketHandshakeResponseReceived', (event) => {
+    const socket = websockets.get(event.requestId);
+    if (socket) socket.status = event.response.status;
+    const entry = pending.get(event.requestId);
+    if (entry) entry.response = { ...event.response, mimeType: 'x-unknown', protocol: 'http/1.1' };
+  });
+
+  const recordFrame = (direction) => (event) => {
+    const socket = websockets.get(event.requestId);
+    if (!socket) return;
+    if (direction === 'send') socket.framesSent++;
+    else socket.framesReceived++;
+    if (socket.frames.length < MAX_WEBSOCKET_FRAMES) {
+      socket.frames.push({ type: direction, time: event.timestamp, opcode: event.response.opcode, data: event.response.payloadData });
+    }
+  };
+  client.on('Network.webSocketFrameSent', recordFrame('send'));
+  client.on('Network.webSocketFrameReceived', recordFrame('receive'));
+  client.on('Network.webSocketClosed', (event) => {
+    const socket = websockets.get(event.requestId);
+    if (socket) socket.closed = true;
+    const entry = pending.get(event.requestId);
+    if (entry) entry.finishedAt = event.timestamp;
+    pending.delete(event.requestId);
+  });
+
+  await client.send('Network.enable', { maxPostDataSize: MAX_POST_DATA_LENGTH });
+
+  return {
+    async stop() {
+      await client.detach().catch(() => {});
+    },
+
+    /**
+     * Endpoints the page talked to, grouped by method and URL without the query
+     * Static assets are only counted.
+     */
+    summary() {
+      const byType = {};
+      const endpoints = new Map();
+      let failed = 0;
+      for (const entry of entries) {
+        byType[entry.type] = (byType[entry.type] || 0) + 1;
+        if (entry.error) failed++;
+        if (ASSET_TYPES.includes(entry.type) || !/^https?:/i.test(entry.url)) continue;
+
+        const key = `${entry.method} ${withoutQuery(entry.url)}`;
+        let endpoint = endpoints.get(key);
+        if (!endpoint) {
+          endpoint = { method: entry.method, url: withoutQuery(entry.url), count: 0, types: new Set(), statuses: new Set(), content_types: new Set(), query_params: new Set(), request_content_types: new Set() };
+          endpoints.set(key, endpoint);
+        }
+        endpoint.count++;
+        endpoint.types.add(entry.type);
+        endpoint.statuses.add(entry.error ? `failed: ${entry.error}` : entry.response?.status ?? 'pending');
+        if (entry.response?.mimeType) endpoint.content_types.add(entry.response.mimeType);
+        for (const { name } of queryString(entry.url)) endpoint.query_params.add(name);
+        if (entry.postData !== undefined) {
+          endpoint.request_content_types.add(headerValue(entry.requestHeaders, 'content-type') || 'unknown');
+        }
+      }
+
+      return {
+        total_requests: entries.length + dropped,
+        failed_requests: failed,
+        by_type: byType,
+        endpoints: [...endpoints.values()].map(endpoint => ({
+          method: endpoint.method,
+          url: endpoint.url,
+          count: endpoint.count,
+          types: [...endpoint.types],
+          statuses: [...endpoint.statuses],
+          content_types: [...endpoint.content_types],
+          query_params: [...endpoint.query_params],
+          request_content_types: [...endpoint.request_content_types]
+        })),
+        websockets: [...websockets.values()].map(socket => ({
+          url: socket.url,
+          status: socket.status,
+          frames_sent: socket.framesSent,
+          frames_received: socket.framesReceived,
+          closed: socket.closed,
+          sample_frames: socket.frames.slice(0, 5).map(frame => ({
+            type: frame.type,
+            data: frame.data.length > SAMPLE_FRAME_LENGTH ? `${frame.data.slice(0, SAMPLE_FRAME_LENGTH)}...` : frame.data
+          }))
+        })),
+        ...(dropped > 0 ? { entries_dropped: dropped } : {})
+      };
+    },
+
+    /**
+     * The capture as a HAR 1.2 log
+     * Bodies are not recorded, so response content carries size and type only.
+     * WebSocket frames use Chrome's _webSocketMessages extension.
+     * @param {Object} pageInfo - title and startedDateTime of the page
+     */
+    toHar(pageInfo) {
+      const harEntries = entries.map((entry) => {
+        const response = entry.response;
+        const timings = harTimings(entry);
+        const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+          .reduce((sum, phase) => sum + Math.max(timings[phase], 0), 0);
+        const version = httpVersion(response?.protocol);
+        const requestContentType = headerValue(entry.requestHeaders, 'content-type');
+
+        const harEntry = {
+          pageref: 'page_1',
+          startedDateTime: new Date(entry.wallTime * 1000).toISOString(),
+          time: round(time),
+          request: {
+            method: entry.method,
+            url: entry.url,
+            httpVersion: version,
+            cookies: [],
+            headers: headerList(entry.requestHeaders),
+            queryString: queryString(entry.url),
+            headersSize: -1,
+            bodySize: entry.postData !== undefined ? Buffer.byteLength(entry.postData) : 0,
+            ...(entry.postData !== undefined ? { postData: { mimeType: requestContentType || '', text: entry.postData } } : {})
+          },
+          response: {
+            status: response ? response.status : 0,
+            statusText: response ? response.statusText || '' : '',
+            httpVersion: version,
+            cookies: [],
+            headers: headerList(response?.headers),
+            content: { size: entry.decodedBytes, mimeType: response?.mimeType || 'x-unknown' },
+            redirectURL: entry.redirectUrl || (response ? headerValue(response.headers, 'location') || '' : ''),
+            headersSize: -1,
+            bodySize: -1,
+            _transferSize: entry.encodedBytes
+          },
+          cache: {},
+          timings: timings,
+          _resourceType: entry.type.toLowerCase()
+        };
+        if (response?.remoteIPAddress) harEntry.serverIPAddress = response.remoteIPAddress.replace(/^\[|\]$/g, '');
+        if (entry.error) harEntry._error = entry.error;
+        const socket = entry.type === 'WebSocket' ? websockets.get(entry.requestId) : null;
+        if (socket) {
+          // Frame times are on the monotonic clock; HAR wants wall-clock seconds
+          const offset = entry.wallTime - entry.startedAt;
+          harEntry._webSocketMessages = socket.frames.map(frame => ({ ...frame, time: frame.time + offset }));
+        }
+        return harEntry;
+      });
+
+      return {
+        log: {
+          version: '1.2',
+          creator: { name: 'CortexAI', version: '1.0.0' },
+          pages: [{
+            startedDateTime: pageInfo.startedDateTime,
+            id: 'page_1',
+            title: pageInfo.title || '',
+            pageTimings: { onContentLoad: -1, onLoad: -1 }
+          }],
+          entries: harEntries
+        }
+      };
+    }
+  };
+}
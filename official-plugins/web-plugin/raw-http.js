@@ -0,0 +1,342 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Raw HTTP exchanges over a plain TCP or TLS socket
+ * Requests are written byte for byte, so duplicate or conflicting headers,
+ * odd casing, absolute-form targets and unknown methods reach the server
+ * untouched. Responses are kept as raw bytes and parsed leniently on the side.
+ */
+
+import net from 'net';
+import tls from 'tls';
+import { performance } from 'perf_hooks';
+import { connectThroughProxy } from '../shared/proxy.js';
+
+function indexOfHeaderEnd(buffer, offset) {
+  const crlf = buffer.indexOf('\r\n\r\n', offset, 'latin1');
+  const lf = buffer.indexOf('\n\n', offset, 'latin1');
+  if (crlf === -1 && lf === -1) return null;
+  if (crlf !== -1 && (lf === -1 || crlf < lf)) return { end: crlf, length: 4 };
+  return { end: lf, length: 2 };
+}
+
+// Parses a chunked body starting at offset; returns null until the final chunk and trailers have arrived
+function parseChunkedBody(buffer, offset) {
+  const chunks = [];
+  let position = offset;
+  while (true) {
+    const lineEnd = buffer.indexOf('\n', position, 'latin1');
+    if (lineEnd === -1) return null;
+    const sizeLine = buffer.toString('latin1', position, lineEnd).replace(/\r$/, '');
+    const size = parseInt(sizeLine.split(';')[0].trim(), 16);
+    if (isNaN(size)) {
+      return { body: Buffer.concat(chunks), end: position, malformed: `Invalid chunk size line: ${JSON.stringify(sizeLine)}` };
+    }
+    position = lineEnd + 1;
+
+    if (size === 0) {
+      // Trailer section ends with an empty line
+      while (true) {
+        const trailerEnd = buffer.indexOf('\n', position, 'latin1');
+        if (trailerEnd === -1) return null;
+        const trailer = buffer.toString('latin1', position, trailerEnd).replace(/\r$/, '');
+        position = trailerEnd + 1;
+        if (trailer === '') return { body: Buffer.concat(chunks), end: position };
+      }
+    }
+
+    if (buffer.length < position + size) return null;
+    chunks.push(buffer.subarray(position, position + size));
+    position += size;
+    if (buffer[position] === 13) position++;
+    if (position >= buffer.length) return null;
+    if (buffer[position] === 10) position++;
+  }
+}
+
+/**
+ * Split raw response bytes into HTTP/1.x responses
+ * @param {Buffer} buffer - Everything received on the connection
+ * @param {string[]} methods - Request methods in send order, to know which responses have no body
+ * @param {boolean} closed - Whether the server closed the connection (ends close-delimited bodies)
+ * @returns {{responses: Object[], consumed: number, complete: number}}
+ */
+export function parseRawResponses(buffer, methods, closed) {
+  const responses = [];
+  let offset = 0;
+  let requestIndex = 0;
+
+  while (offset < buffer.length) {
+    const headerEnd = indexOfHeaderEnd(buffer, offset);
+    if (!headerEnd) break;
+    const head = buffer.toString('latin1', offset, headerEnd.end).split(/\r?\n/);
+    const statusMatch = head[0].match(/^HTTP\/(\d+(?:\.\d+)?)\s+(\d{3})(?:\s+(.*))?$/);
+    if (!statusMatch) break;
+
+    const headers = [];
+    for (const line of head.slice(1)) {
+      const colon = line.indexOf(':');
+      if (colon > 0) {
+        headers.push({ name: line.slice(0, colon), value: line.slice(colon + 1).trim() });
+      } else if (headers.length > 0 && /^[ \t]/.test(line)) {
+        headers[headers.length - 1].value += ' ' + line.trim();
+      }
+    }
+    const headerValues = (name) => headers.filter(h => h.name.toLowerCase() === name).map(h => h.value);
+
+    const statusCode = parseInt(statusMatch[2], 10);
+    const response = {
+      http_version: statusMatch[1],
+      status_code: statusCode,
+      status_message: statusMatch[3] || '',
+      headers: headers,
+      body: '',
+      body_length: 0,
+      complete: true
+    };
+    const bodyStart = headerEnd.end + headerEnd.length;
+    const method = (methods[requestIndex] || 'GET').toUpperCase();
+
+    // Interim responses answer the same request as the final one that follows
+    if (statusCode >= 100 && statusCode < 200 && statusCode !== 101) {
+      response.interim = true;
+      responses.push(response);
+      offset = bodyStart;
+      continue;
+    }
+    requestIndex++;
+
+    const transferEncoding = headerValues('transfer-encoding').join(',').toLowerCase();
+    const contentLengths = [...new Set(headerValues('content-length'))];
+    if (contentLengths.length > 1) response.conflicting_content_length = contentLengths;
+    if (transferEncoding && contentLengths.length > 0) response.both_te_and_cl = true;
+
+    if (method === 'HEAD' || statusCode === 204 || statusCode === 304 || statusCode === 101) {
+      responses.push(response);
+      offset = bodyStart;
+      if (statusCode === 101) break;
+      continue;
+    }
+
+    if (/(^|,)\s*chunked\s*$/.test(transferEncoding)) {
+      const chunked = parseChunkedBody(buffer, bodyStart);
+      if (!chunked) {
+        response.complete = false;
+        response.body = buffer.subarray(bodyStart).toString('utf-8');
+        response.body_length = buffer.length - bodyStart;
+        responses.push(response);
+        offset = buffer.length;
+        break;
+      }
+      response.chunked = true;
+      response.body = chunked.body.toString('utf-8');
+      response.body_length = chunked.body.length;
+      if (chunked.malformed) response.malformed = chunked.malformed;
+      responses.push(response);
+      offset = chunked.end;
+      if (chunked.malformed) break;
+      continue;
+    }
+
+    if (contentLengths.length > 0 && /^\d+$/.test(contentLengths[0])) {
+      const length = parseInt(contentLengths[0], 10);
+      const available = Math.min(length, buffer.length - bodyStart);
+      response.body = buffer.subarray(bodyStart, bodyStart + available).toString('utf-8');
+      response.body_length = available;
+      response.complete = available === length;
+      responses.push(response);
+      offset = bodyStart + available;
+      if (!response.complete) break;
+      continue;
+    }
+
+    // No framing: the body runs until the server closes the connection
+    response.body = buffer.subarray(bodyStart).toString('utf-8');
+    response.body_length = buffer.length - bodyStart;
+    response.complete = closed;
+    response.close_delimited = true;
+    responses.push(response);
+    offset = buffer.length;
+  }
+
+  return {
+    responses: responses,
+    consumed: offset,
+    complete: responses.filter(r => r.complete && !r.interim).length
+  };
+}
+
+/**
+ * Send literal requests on one connection and collect everything the server returns
+ * @param {Object} options
+ * @param {string} options.host - Target host
+ * @param {number} options.port - Target port
+ * @param {boolean} options.useTls - Wrap the connection in TLS
+ * @param {string|null} options.servername - SNI name (default: host, unless it is an IP address)
+ * @param {Buffer[]} options.requests - Raw requests in send order
+ * @param {string[]} options.methods - Method of each request, for response parsing
+ * @param {boolean} options.pipeline - Write all requests at once instead of waiting for each response
+ * @param {number} options.timeoutMs - Overall deadline for the exchange
+ * @param {number} options.idleTimeoutMs - How long to keep listening once every response has arrived
+ * @param {number} options.maxResponseBytes - Stop reading after this many bytes
+ * @param {Object|null} options.proxy - Parsed proxy to tunnel through
+ * @returns {Promise<Object>} Raw bytes, parsed responses, timing and connection details
+ */
+export async function rawHttpExchange(options) {
+  const { host, port, useTls, servername = null, requests, methods, pipeline, timeoutMs, idleTimeoutMs, maxResponseBytes, proxy = null } = options;
+  const bareHost = host.replace(/^\[|\]$/g, '');
+  const startTime = performance.now();
+  const elapsed = () => Math.round(performance.now() - startTime);
+  const timing = {};
+
+  let socket;
+  if (proxy) {
+    socket = await connectThroughProxy(proxy, bareHost, port, { timeoutMs });
+  } else {
+    socket = net.connect({ host: bareHost, port: port });
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`Connect timeout (${Math.round(timeoutMs / 1000)}s)`));
+      }, timeoutMs);
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      socket.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+  timing.connect_ms = elapsed();
+
+  const connection = {
+    remote_address: socket.remoteAddress || null,
+    remote_port: socket.remotePort || null
+  };
+
+  if (useTls) {
+    const plainSocket = socket;
+    socket = tls.connect({
+      socket: plainSocket,
+      servername: servername || (net.isIP(bareHost) ? undefined : bareHost),
+      rejectUnauthorized: false,
+      ALPNProtocols: ['http/1.1']
+    });
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`TLS handshake timeout (${Math.round(timeoutMs / 1000)}s)`));
+      }, timeoutMs);
+      socket.once('secureConnect', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      socket.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+    timing.tls_ms = elapsed() - timing.connect_ms;
+    connection.tls_protocol = socket.getProtocol();
+    connection.tls_cipher = socket.getCipher()?.name || null;
+    connection.alpn_protocol = socket.alpnProtocol || null;
+  }
+
+  return new Promise((resolve) => {
+    const received = [];
+    let receivedBytes = 0;
+    let sentBytes = 0;
+    let sentCount = 0;
+    let closed = false;
+    let timedOut = false;
+    let truncated = false;
+    let socketError = null;
+    let idleTimer = null;
+    let finished = false;
+
+    const sendNext = () => {
+      const request = requests[sentCount++];
+      sentBytes += request.length;
+      socket.write(request);
+    };
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(deadline);
+      clearTimeout(idleTimer);
+      socket.destroy();
+      const raw = Buffer.concat(received);
+      const parsed = parseRawResponses(raw, methods, closed);
+      timing.total_ms = elapsed();
+      resolve({
+        raw: raw,
+        responses: parsed.responses,
+        unparsed: raw.subarray(parsed.consumed),
+        requests_sent: sentCount,
+        bytes_sent: sentBytes,
+        bytes_received: receivedBytes,
+        connection_closed: closed,
+        timed_out: timedOut,
+        truncated: truncated,
+        error: socketError,
+        timing: timing,
+        connection: connection
+      });
+    };
+
+    const deadline = setTimeout(() => {
+      timedOut = true;
+      finish();
+    }, timeoutMs);
+
+    socket.on('data', (chunk) => {
+      if (timing.first_byte_ms === undefined) timing.first_byte_ms = elapsed();
+      received.push(chunk);
+      receivedBytes += chunk.length;
+      if (receivedBytes >= maxResponseBytes) {
+        truncated = true;
+        finish();
+        return;
+      }
+
+      const { complete } = parseRawResponses(Buffer.concat(received), methods, false);
+      if (!pipeline && sentCount < requests.length && complete >= sentCount) {
+        sendNext();
+        return;
+      }
+      // Keep listening briefly after the expected responses, since a smuggled request may produce one more
+      clearTimeout(idleTimer);
+      if (sentCount === requests.length && complete >= requests.length) {
+        idleTimer = setTimeout(finish, idleTimeoutMs);
+      }
+    });
+    socket.on('end', () => {
+      closed = true;
+      finish();
+    });
+    socket.on('close', () => {
+      closed = true;
+      finish();
+    });
+    socket.on('error', (error) => {
+      socketError = error.message;
+      finish();
+    });
+
+    if (pipeline) {
+      while (sentCount < requests.length) sendNext();
+    } else {
+      sendNext();
+    }
+  });
+}
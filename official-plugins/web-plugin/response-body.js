@@ -0,0 +1,307 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Response body decoding for web_request
+ * Bodies are decompressed while they stream in (gzip, deflate, br, in any
+ * stacked order), so a size cap stops the download instead of buffering it.
+ * Text is decoded with the charset from the BOM, Content-Type or a meta tag;
+ * binary bodies are returned as base64 or only as a hash. A body being saved
+ * streams to its file instead, hashed and counted on the way.
+ */
+
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { isBinaryBuffer } from '../shared/binary.js';
+
+const SNIFF_BYTES = 8192;
+
+// Lenient flushing lets truncated or sloppily terminated streams decode as far as they go
+const LENIENT_ZLIB = { finishFlush: zlib.constants.Z_SYNC_FLUSH };
+const LENIENT_BROTLI = { finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH };
+
+const TEXT_CONTENT_TYPE = /^text\/|[/+](json|xml|javascript|ecmascript|x-www-form-urlencoded|graphql|yaml|csv|x-sh|x-httpd-php)\b/i;
+
+const BYTE_ORDER_MARKS = [
+  { bytes: [0xef, 0xbb, 0xbf], charset: 'utf-8' },
+  { bytes: [0xff, 0xfe], charset: 'utf-16le' },
+  { bytes: [0xfe, 0xff], charset: 'utf-16be' }
+];
+
+function parseContentEncoding(header) {
+  return String(header || '')
+    .toLowerCase()
+    .split(',')
+    .map(coding => coding.trim())
+    .filter(coding => coding && coding !== 'identity');
+}
+
+// A zlib stream starts with a CMF/FLG pair whose 16-bit value is a multiple of 31
+function hasZlibHeader(chunk) {
+  if (!chunk || chunk.length < 2) return true;
+  return (chunk[0] & 0x0f) === 8 && ((chunk[0] << 8) | chunk[1]) % 31 === 0;
+}
+
+function createDecoder(coding, firstChunk) {
+  if (coding === 'gzip' || coding === 'x-gzip') return zlib.createGunzip(LENIENT_ZLIB);
+  if (coding === 'br') return zlib.createBrotliDecompress(LENIENT_BROTLI);
+  if (coding === 'deflate') {
+    // Plenty of servers send raw DEFLATE without the zlib wrapper the spec asks for
+    return hasZlibHeader(firstChunk) ? zlib.createInflate(LENIENT_ZLIB) : zlib.createInflateRaw(LENIENT_ZLIB);
+  }
+  return null;
+}
+
+/**
+ * Read a response, undoing its Content-Encoding, and stop once enough has arrived
+ * With a sink, every decoded byte is written to it instead and only the first
+ * few kilobytes stay in memory, to tell text from binary; maxBytes does not apply.
+ * @param {http.IncomingMessage} res - Response stream
+ * @param {number} maxBytes - Decoded bytes to keep; reading stops (and the socket closes) past this
+ * @param {stream.Writable|null} sink - Stream the whole decoded body is written to, e.g. a file
+ * @returns {Promise<Object>} { body, wireBytes, codings, decodeError, truncated, saved? }
+ *   saved is { bytes, sha256 } when a sink was given; body is then only the start
+ */
+export function collectResponseBody(res, maxBytes = Infinity, sink = null) {
+  const codings = parseContentEncoding(res.headers['content-encoding']);
+  const unsupported = codings.find(coding => !['gzip', 'x-gzip', 'deflate', 'br'].includes(coding));
+
+  return new Promise((resolve, reject) => {
+    const decoded = [];
+    const raw = [];
+    let decodedBytes = 0;
+    let rawBytes = 0;
+    let wireBytes = 0;
+    let decoders = null;
+    let decodeError = unsupported ? `Unsupported content encoding: ${unsupported}` : null;
+    let truncated = false;
+    let finished = false;
+    const savedHash = sink ? crypto.createHash('sha256') : null;
+    let savedBytes = 0;
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      if (sink) {
+        // Resolved only once the file is complete on disk
+        sink.on('error', reject);
+        sink.end(() => resolve({
+          body: Buffer.concat(decoded),
+          wireBytes: wireBytes,
+          codings: unsupported ? [] : codings,
+          decodeError: decodeError,
+          truncated: false,
+          saved: { bytes: savedBytes, sha256: savedHash.digest('hex') }
+        }));
+        return;
+      }
+      // Anything that could not be decompressed is returned as it came off the wire
+      const useRaw = decodeError !== null;
+      const body = Buffer.concat(useRaw ? raw : decoded);
+      resolve({
+        body: body.length > maxBytes ? body.subarray(0, maxBytes) : body,
+        wireBytes: wireBytes,
+        codings: useRaw ? [] : codings,
+        decodeError: decodeError,
+        truncated: truncated || (useRaw && wireBytes > maxBytes)
+      });
+    };
+
+    const stop = () => {
+      truncated = true;
+      res.destroy();
+      if (decoders) decoders.forEach(decoder => decoder.destroy());
+      finish();
+    };
+
+    // The decoders and the socket wait while the sink catches up, so a compression bomb cannot pile up in memory
+    const pause = () => {
+      res.pause();
+      if (decoders) decoders.forEach(decoder => decoder.pause());
+    };
+    const resume = () => {
+      res.resume();
+      if (decoders) decoders.forEach(decoder => decoder.resume());
+    };
+
+    const saveChunk = (chunk) => {
+      if (finished) return;
+      savedHash.update(chunk);
+      savedBytes += chunk.length;
+      if (decodedBytes < SNIFF_BYTES) {
+        decoded.push(chunk.subarray(0, SNIFF_BYTES - decodedBytes));
+        decodedBytes += Math.min(chunk.length, SNIFF_BYTES - decodedBytes);
+      }
+      if (!sink.write(chunk)) {
+        pause();
+        sink.once('drain', resume);
+      }
+    };
+
+    const keepDecoded = (chunk) => {
+      if (sink) {
+        saveChunk(chunk);
+        return;
+      }
+      if (finished) return;
+      decoded.push(chunk);
+      decodedBytes += chunk.length;
+      if (decodedBytes > maxBytes) stop();
+    };
+
+    // Codings are listed in the order they were applied, so they are undone from the last one
+    const buildDecoders = (firstChunk) => {
+      decoders = [...codings].reverse().map((coding, index) => createDecoder(coding, index === 0 ? firstChunk : null));
+      decoders.forEach((decoder, index) => {
+        const next = decoders[index + 1];
+        decoder.on('data', next ? (chunk) => next.write(chunk) : keepDecoded);
+        decoder.on('end', next ? () => next.end() : finish);
+        decoder.on('error', (error) => {
+          if (decodeError === null) decodeError = `${codings[codings.length - 1 - index]}: ${error.message}`;
+          if (res.complete || res.destroyed) finish();
+        });
+      });
+    };
+
+    res.on('data', (chunk) => {
+      wireBytes += chunk.length;
+      // An encoding that cannot be undone is saved as it came off the wire
+      if (sink && unsupported) {
+        saveChunk(chunk);
+        return;
+      }
+      if (sink) {
+        if (decodeError !== null) return;
+      } else if (rawBytes <= maxBytes) {
+        raw.push(chunk);
+        rawBytes += chunk.length;
+      }
+      if (decodeError !== null) {
+        if (wireBytes > maxBytes) stop();
+        return;
+      }
+      if (codings.length === 0) {
+        keepDecoded(chunk);
+        return;
+      }
+      if (!decoders) buildDecoders(chunk);
+      decoders[0].write(chunk);
+    });
+
+    res.on('end', () => {
+      if (decoders && decodeError === null) {
+        decoders[0].end();
+      } else {
+        finish();
+      }
+    });
+
+    res.on('error', (error) => {
+      if (!finished) reject(error);
+    });
+    if (sink) {
+      sink.on('error', (error) => {
+        res.destroy();
+        reject(error);
+      });
+    }
+  });
+}
+
+/**
+ * Work out which charset a text body is in
+ * @param {Buffer} buffer - Decoded body bytes
+ * @param {string} contentType - Content-Type header value
+ * @returns {{charset: string, source: string, bom: boolean}}
+ */
+export function detectCharset(buffer, contentType = '') {
+  for (const mark of BYTE_ORDER_MARKS) {
+    if (mark.bytes.every((byte, index) => buffer[index] === byte)) {
+      return { charset: mark.charset, source: 'bom', bom: true };
+    }
+  }
+
+  const headerMatch = String(contentType).match(/charset\s*=\s*["']?([^"';\s]+)/i);
+  if (headerMatch) return { charset: headerMatch[1].toLowerCase(), source: 'header', bom: false };
+
+  // <meta charset="x">, <meta http-equiv="Content-Type" content="...; charset=x"> and <?xml encoding="x"?>
+  const head = buffer.toString('latin1', 0, Math.min(buffer.length, SNIFF_BYTES));
+  const metaMatch = head.match(/<meta\b[^>]*?charset\s*=\s*["']?\s*([\w.:-]+)/i);
+  if (metaMatch) return { charset: metaMatch[1].toLowerCase(), source: 'meta', bom: false };
+  const xmlMatch = head.match(/^\s*<\?xml\b[^>]*\bencoding\s*=\s*["']([\w.:-]+)["']/i);
+  if (xmlMatch) return { charset: xmlMatch[1].toLowerCase(), source: 'xml_declaration', bom: false };
+
+  return { charset: 'utf-8', source: 'default', bom: false };
+}
+
+/**
+ * Whether a body should be treated as binary
+ * A textual Content-Type is trusted; anything else is judged by its bytes, so
+ * a text file served as application/octet-stream still comes back readable
+ */
+export function isBinaryBody(buffer, contentType = '') {
+  if (TEXT_CONTENT_TYPE.test(String(contentType))) return false;
+  if (detectCharset(buffer).bom) return false;
+  return isBinaryBuffer(buffer.subarray(0, SNIFF_BYTES));
+}
+
+function decodeText(buffer, charset) {
+  try {
+    return { text: new TextDecoder(charset).decode(buffer), charset: charset };
+  } catch (error) {
+    // Unknown labels fall back to UTF-8 rather than failing the request
+    return { text: new TextDecoder('utf-8').decode(buffer), charset: 'utf-8', error: `Unsupported charset: ${charset}` };
+  }
+}
+
+/**
+ * Turn a collected body into web_request result fields
+ * @param {Object} collected - Result of collectResponseBody
+ * @param {string} contentType - Content-Type header value
+ * @param {string} binaryBody - "base64" to include binary bodies, "hash" to only hash them
+ * @returns {Object} { body, body_base64?, body_info }
+ */
+export function formatResponseBody(collected, contentType = '', binaryBody = 'base64') {
+  const buffer = collected.body;
+  if (collected.saved) {
+    // The body is in a file; only its start was kept, to classify it
+    const savedInfo = {
+      decoded_bytes: collected.saved.bytes,
+      wire_bytes: collected.wireBytes,
+      content_encoding: collected.codings,
+      truncated: false,
+      binary: isBinaryBody(buffer, contentType),
+      sha256: collected.saved.sha256
+    };
+    if (collected.decodeError) savedInfo.decode_error = collected.decodeError;
+    return { body: null, body_info: savedInfo };
+  }
+  const info = {
+    decoded_bytes: buffer.length,
+    wire_bytes: collected.wireBytes,
+    content_encoding: collected.codings,
+    truncated: collected.truncated,
+    binary: isBinaryBody(buffer, contentType)
+  };
+  if (collected.decodeError) info.decode_error = collected.decodeError;
+  // A hash of a partial body would be misleading
+  if (!collected.truncated) info.sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  if (info.binary) {
+    if (binaryBody === 'hash') return { body: null, body_info: info };
+    return { body: null, body_base64: buffer.toString('base64'), body_info: info };
+  }
+
+  const detected = detectCharset(buffer, contentType);
+  const decodedText = decodeText(buffer, detected.charset);
+  info.charset = decodedText.charset;
+  info.charset_source = detected.source;
+  if (decodedText.error) info.charset_error = decodedText.error;
+  return { body: decodedText.text, body_info: info };
+}
@@ -0,0 +1,304 @@
+/**
+ * This file is part of CortexAI.
+ *
+ * Copyright (c) 2025 Christopher Dickinson
+ *
+ * CortexAI is licensed under the MIT License.
+ * See the LICENSE file in the project root for full license information.
+ */
+
+/**
+ * TLS inspection for the web tools
+ * Describes a negotiated connection and its certificate chain, and scans a
+ * server for the protocol versions and cipher suites it accepts. Scans lower
+ * OpenSSL's security level so legacy protocols and weak ciphers can still be
+ * offered, since finding those is the point.
+ */
+
+import tls from 'tls';
+import net from 'net';
+import crypto from 'crypto';
+import { connectThroughProxy } from '../shared/proxy.js';
+
+const SCAN_VERSIONS = ['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'];
+const DEPRECATED_VERSIONS = ['TLSv1', 'TLSv1.1'];
+
+const TLS13_CIPHERSUITES = [
+  'TLS_AES_256_GCM_SHA384',
+  'TLS_CHACHA20_POLY1305_SHA256',
+  'TLS_AES_128_GCM_SHA256',
+  'TLS_AES_128_CCM_SHA256',
+  'TLS_AES_128_CCM_8_SHA256'
+];
+
+const WEAK_CIPHER = /(^|-)(NULL|EXP|EXPORT|RC4|RC2|DES|3DES|DES-CBC3|MD5|IDEA|SEED)(-|$)|^(ADH|AECDH)-/i;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// "DNS:a.com, IP Address:10.0.0.1" becomes [{type: "DNS", value: "a.com"}, ...]
+function parseSubjectAltNames(value) {
+  if (!value) return [];
+  return value.split(/,\s*/).map((entry) => {
+    const colon = entry.indexOf(':');
+    return { type: entry.slice(0, colon), value: entry.slice(colon + 1) };
+  });
+}
+
+function formatDistinguishedName(name) {
+  if (!name) return null;
+  return Object.entries(name)
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('+') : value}`)
+    .join(', ');
+}
+
+function describeCertificate(certificate) {
+  const validFrom = new Date(certificate.valid_from);
+  const validTo = new Date(certificate.valid_to);
+  const now = Date.now();
+  const description = {
+    subject: formatDistinguishedName(certificate.subject),
+    issuer: formatDistinguishedName(certificate.issuer),
+    subject_alt_names: parseSubjectAltNames(certificate.subjectaltname),
+    serial_number: certificate.serialNumber,
+    valid_from: validFrom.toISOString(),
+    valid_to: validTo.toISOString(),
+    expired: validTo.getTime() < now,
+    not_yet_valid: validFrom.getTime() > now,
+    days_remaining: Math.floor((validTo.getTime() - now) / MS_PER_DAY),
+    self_signed: formatDistinguishedName(certificate.subject) === formatDistinguishedName(certificate.issuer),
+    fingerprint_sha1: certificate.fingerprint,
+    fingerprint_sha256: certificate.fingerprint256
+  };
+
+  const x509 = new crypto.X509Certificate(certificate.raw);
+  const keyDetails = x509.publicKey.asymmetricKeyDetails || {};
+  description.public_key = {
+    type: x509.publicKey.asymmetricKeyType,
+    bits: keyDetails.modulusLength || certificate.bits || null,
+    curve: keyDetails.namedCurve || null
+  };
+  description.is_ca = x509.ca;
+  description.extended_key_usage = x509.keyUsage || [];
+  description.pem = x509.toString();
+  return description;
+}
+
+/**
+ * Peer certificate chain, leaf first
+ * @param {tls.TLSSocket} socket - Connected TLS socket
+ * @returns {Object[]} Described certificates
+ */
+export function describeCertificateChain(socket) {
+  const chain = [];
+  const seen = new Set();
+  let certificate = socket.getPeerCertificate(true);
+  // The root's issuerCertificate points back at itself
+  while (certificate && certificate.fingerprint256 && !seen.has(certificate.fingerprint256)) {
+    seen.add(certificate.fingerprint256);
+    chain.push(describeCertificate(certificate));
+    certificate = certificate.issuerCertificate;
+  }
+  return chain;
+}
+
+/**
+ * Negotiated parameters and certificate chain of a TLS connection
+ * @param {tls.TLSSocket} socket - Connected TLS socket
+ * @param {string|null} hostname - Name the certificate should cover
+ * @returns {Object} Protocol, cipher, ALPN, verification result and chain
+ */
+export function describeTlsSocket(socket, hostname = null) {
+  const cipher = socket.getCipher() || {};
+  const ephemeral = socket.getEphemeralKeyInfo ? socket.getEphemeralKeyInfo() : null;
+  // Chain verification ignores the hostname unless the request enforced it, so check it separately
+  const identityError = hostname ? tls.checkServerIdentity(hostname.replace(/^\[|\]$/g, ''), socket.getPeerCertificate()) : undefined;
+  return {
+    protocol: socket.getProtocol(),
+    cipher: cipher.name || null,
+    cipher_standard_name: cipher.standardName || null,
+    alpn_protocol: socket.alpnProtocol || null,
+    servername: socket.servername || null,
+    ephemeral_key: ephemeral && ephemeral.type ? ephemeral : null,
+    session_reused: socket.isSessionReused(),
+    authorized: socket.authorized,
+    authorization_error: socket.authorizationError ? String(socket.authorizationError) : null,
+    hostname_error: identityError ? identityError.message : null,
+    certificate_chain: describeCertificateChain(socket)
+  };
+}
+
+// "80CC...:error:0A00042E:SSL routines:ssl3_read_bytes:tlsv1 alert protocol version:../ssl/rec_layer_s3.c:1605:..." becomes "tlsv1 alert protocol version"
+function openSslReason(message) {
+  const match = message.match(/:error:[0-9A-F]+:[^:]*:[^:]*:([^:]+):/);
+  return match ? match[1] : message;
+}
+
+// One handshake with a fixed version and cipher offer; resolves to the TLS socket or an error message
+async function handshake(host, port, { servername, version, ciphers, proxy, timeoutMs }) {
+  let tunnel = null;
+  try {
+    if (proxy) tunnel = await connectThroughProxy(proxy, host, port, { timeoutMs });
+  } catch (error) {
+    return { error: error.message, connectFailed: true };
+  }
+
+  return new Promise((resolve) => {
+    const options = {
+      servername: servername || (net.isIP(host) ? undefined : host),
+      minVersion: version,
+      maxVersion: version,
+      rejectUnauthorized: false,
+      ALPNProtocols: ['h2', 'http/1.1']
+    };
+    // Node takes TLSv1.3 suites in the same cipher string as the older ciphers
+    if (ciphers) options.ciphers = ciphers;
+    if (tunnel) {
+      options.socket = tunnel;
+    } else {
+      options.host = host;
+      options.port = port;
+    }
+
+    let socket;
+    let settled = false;
+    const settle = (value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(value);
+    };
+    const timer = setTimeout(() => {
+      if (socket) socket.destroy();
+      settle({ error: `Handshake timeout (${Math.round(timeoutMs / 1000)}s)` });
+    }, timeoutMs);
+
+    try {
+      socket = tls.connect(options);
+    } catch (error) {
+      // OpenSSL rejects cipher strings it cannot build before any traffic is sent
+      settle({ error: error.message, invalidOffer: true });
+      return;
+    }
+    socket.once('secureConnect', () => settle({ socket }));
+    socket.once('error', (error) => settle({ error: openSslReason(error.message), connectFailed: ['ECONNREFUSED', 'EHOSTUNREACH', 'ENOTFOUND', 'ETIMEDOUT'].includes(error.code) }));
+  });
+}
+
+function cipherSecurity(name, version) {
+  if (version === 'TLSv1.3') return 'strong';
+  if (WEAK_CIPHER.test(name)) return 'weak';
+  // Without (EC)DHE there is no forward secrecy; CBC suites carry padding-oracle history
+  if (!/^(ECDHE|DHE|EDH)-/i.test(name)) return 'no_forward_secrecy';
+  if (!/GCM|CHACHA20|CCM/i.test(name)) return 'cbc';
+  return 'strong';
+}
+
+/**
+ * Offers every cipher, records which one the server picks, removes it and
+ * repeats, which lists the accepted ciphers in the server's preference order
+ */
+async function enumerateCiphers(host, port, version, options) {
+  const accepted = [];
+  const isTls13 = version === 'TLSv1.3';
+  let remaining = isTls13
+    ? [...TLS13_CIPHERSUITES]
+    : tls.getCiphers().filter(name => !name.startsWith('tls_')).map(name => name.toUpperCase());
+
+  while (remaining.length > 0) {
+    const ciphers = isTls13 ? remaining.join(':') : `${remaining.join(':')}:@SECLEVEL=0`;
+    const attempt = await handshake(host, port, { ...options, version, ciphers });
+    if (!attempt.socket) break;
+
+    const cipher = attempt.socket.getCipher() || {};
+    const ephemeral = attempt.socket.getEphemeralKeyInfo();
+    attempt.socket.destroy();
+    const chosen = (cipher.name || '').toUpperCase();
+    const index = remaining.findIndex(name => name.toUpperCase() === chosen);
+    if (index === -1) break;
+
+    accepted.push({
+      name: cipher.name,
+      standard_name: cipher.standardName || null,
+      security: cipherSecurity(cipher.name, version),
+      key_exchange: ephemeral && ephemeral.type ? `${ephemeral.type}${ephemeral.name ? ` ${ephemeral.name}` : ''} ${ephemeral.size}` : null
+    });
+    remaining.splice(index, 1);
+  }
+  return accepted;
+}
+
+/**
+ * Enumerate the protocol versions and ciphers a TLS server accepts
+ * @param {Object} options
+ * @param {string} options.host - Target host
+ * @param {number} options.port - Target port
+ * @param {string|null} options.servername - SNI name (default: host, unless it is an IP address)
+ * @param {boolean} options.enumerateCiphers - List ciphers per version, not just the versions
+ * @param {Object|null} options.proxy - Parsed proxy to tunnel each handshake through
+ * @param {number} options.timeoutMs - Deadline for each handshake
+ * @returns {Promise<Object>} Versions, ciphers, certificate chain and findings
+ */
+export async function scanTls({ host, port, servername = null, enumerateCiphers: listCiphers = true, proxy = null, timeoutMs = 5000 }) {
+  const bareHost = host.replace(/^\[|\]$/g, '');
+  const options = { servername, proxy, timeoutMs };
+  const protocols = [];
+  let connection = null;
+  let handshakes = 0;
+
+  for (const version of SCAN_VERSIONS) {
+    const offer = version === 'TLSv1.3' ? {} : { ciphers: 'ALL:COMPLEMENTOFALL:@SECLEVEL=0' };
+    const attempt = await handshake(bareHost, port, { ...options, version, ...offer });
+    handshakes++;
+    if (attempt.connectFailed && handshakes === 1) {
+      throw new Error(`Cannot connect to ${host}:${port}: ${attempt.error}`);
+    }
+
+    const entry = { version, supported: Boolean(attempt.socket), deprecated: DEPRECATED_VERSIONS.includes(version) };
+    if (attempt.socket) {
+      // The strongest version's handshake supplies the certificate details
+      connection = describeTlsSocket(attempt.socket, servername || bareHost);
+      attempt.socket.destroy();
+      if (listCiphers) {
+        entry.ciphers = await enumerateCiphers(bareHost, port, version, options);
+        handshakes += entry.ciphers.length + 1;
+      }
+    } else {
+      entry.error = attempt.error;
+    }
+    protocols.push(entry);
+  }
+
+  const findings = [];
+  for (const entry of protocols) {
+    if (entry.supported && entry.deprecated) findings.push(`${entry.version} is enabled`);
+    for (const cipher of entry.ciphers || []) {
+      if (cipher.security === 'weak') findings.push(`Weak cipher ${cipher.name} accepted over ${entry.version}`);
+    }
+  }
+  if (protocols.some(entry => entry.supported) && !protocols.find(entry => entry.version === 'TLSv1.3').supported) {
+    findings.push('TLSv1.3 is not supported');
+  }
+  const leaf = connection && connection.certificate_chain[0];
+  if (leaf) {
+    if (leaf.expired) findings.push(`Certificate expired on ${leaf.valid_to}`);
+    if (leaf.not_yet_valid) findings.push(`Certificate is not valid until ${leaf.valid_from}`);
+    if (connection.certificate_chain.length === 1 && leaf.self_signed) findings.push('Certificate is self-signed');
+    if (leaf.public_key.type === 'rsa' && leaf.public_key.bits < 2048) {
+      findings.push(`RSA key is only ${leaf.public_key.bits} bits`);
+    }
+  }
+  if (connection && connection.authorization_error) findings.push(`Certificate does not verify: ${connection.authorization_error}`);
+  if (connection && connection.hostname_error) findings.push(connection.hostname_error);
+
+  return {
+    protocols: protocols,
+    supported_versions: protocols.filter(entry => entry.supported).map(entry => entry.version),
+    certificate_chain: connection ? connection.certificate_chain : [],
+    authorized: connection ? connection.authorized : null,
+    authorization_error: connection ? connection.authorization_error : null,
+    hostname_error: connection ? connection.hostname_error : null,
+    alpn_protocol: connection ? connection.alpn_protocol : null,
+    findings: findings,
+    handshakes: handshakes
+  };
+}